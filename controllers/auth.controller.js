@@ -1,6 +1,84 @@
+const bcrypt = require('bcrypt');
 const AuthService = require('../services/auth.service');
+const UserService = require('../services/user.service');
+const SessionService = require('../services/session.service');
+const EmailTokenService = require('../services/emailToken.service');
 const { validationMiddleware, authMiddleware } = require('../middlewares');
-const { body } = require('express-validator');
+const activeSession = require('../middlewares/activeSession');
+const { body, param } = require('express-validator');
+const createError = require('../utils/createError');
+const { sendMail } = require('../utils/mailer');
+const loginThrottle = require('../utils/loginThrottle');
+const { disconnectSession, disconnectUser } = require('../utils/session');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  EMAIL_TOKEN_EXPIRES_IN,
+  generateToken,
+  hashToken,
+  getRefreshTokenExpiresAt,
+} = require('../utils/authToken');
+
+// 메일의 링크가 여는 앱 주소 - 앱이 링크의 token 으로 /auth/email/verify, /auth/password/reset 을 호출함
+const APP_LINK_URL = process.env.APP_LINK_URL || 'roadrunner://';
+
+// 로그인 실패 횟수에 포함되는 에러
+const CREDENTIAL_ERRORS = ['AUTH.PASSWORD_INCORRECT', 'USER.USER_NOT_FOUND'];
+
+const createAccessToken = (user, sessionId) =>
+  AuthService.createAccessToken(user, { sessionId, expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+// 로그인한 기기별로 세션을 만들고 access token / refresh token 을 발급함
+const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await SessionService.createSession({
+    userId: user.userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: getRefreshTokenExpiresAt(),
+  });
+  const token = await createAccessToken(user, session.sessionId);
+
+  return { token, refreshToken };
+};
+
+// type: VERIFY_EMAIL / RESET_PASSWORD
+const createEmailToken = async (userId, type) => {
+  const token = generateToken();
+  await EmailTokenService.createToken({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_EXPIRES_IN[type]),
+  });
+
+  return token;
+};
+
+// 만료되지 않았고 사용된 적 없는 token 이면 사용 처리 후 token 정보를 반환, 아니면 null
+const consumeEmailToken = (token, type) => EmailTokenService.useToken(hashToken(token), type);
+
+const getEmailLink = (path, token) => `${APP_LINK_URL}${path}?token=${encodeURIComponent(token)}`;
+
+const sendVerificationMail = async user => {
+  const token = await createEmailToken(user.userId, 'VERIFY_EMAIL');
+  const link = getEmailLink('email/verify', token);
+  await sendMail({
+    to: user.email,
+    subject: '[RoadRunner] 이메일 인증',
+    text: `아래 링크를 눌러 이메일을 인증해주세요. (24시간 동안 유효)\n\n${link}`,
+  });
+};
+
+const sendPasswordResetMail = async user => {
+  const token = await createEmailToken(user.userId, 'RESET_PASSWORD');
+  const link = getEmailLink('password/reset', token);
+  await sendMail({
+    to: user.email,
+    subject: '[RoadRunner] 비밀번호 재설정',
+    text: `아래 링크에서 비밀번호를 재설정 할 수 있습니다. (1시간 동안 유효)\n본인이 요청하지 않았다면 이 메일을 무시해주세요.\n\n${link}`,
+  });
+};
 
 /**
  * @swagger
@@ -8,7 +86,7 @@ const { body } = require('express-validator');
  *   /auth/join:
  *     post:
  *       tags: ['auth']
- *       description: 사용자 회원가입을 위한 정보
+ *       description: 사용자 회원가입을 위한 정보 - 가입한 이메일로 인증 링크가 전송되며 인증 전에는 order를 생성할 수 없음
  *       summary: 회원가입
  *       operationId: join
  *       requestBody:
@@ -65,6 +143,9 @@ exports.join = [
   async (req, res, next) => {
     try {
       const user = await AuthService.join(req.body);
+      // 메일 전송에 실패해도 가입은 유지되며 /auth/email/resend 로 다시 받을 수 있음
+      await sendVerificationMail(user).catch(error => console.error(error));
+
       res.status(200).json({ success: true, data: user });
     } catch (error) {
       next(error);
@@ -72,6 +153,214 @@ exports.join = [
   },
 ];
 
+/**
+ * @swagger
+ * paths:
+ *   /auth/email/verify:
+ *     post:
+ *       tags: ['auth']
+ *       description: 메일로 받은 인증 링크의 token 으로 이메일 인증
+ *       summary: 이메일 인증
+ *       operationId: verifyEmail
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             required: true
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - token
+ *               properties:
+ *                 token:
+ *                   type: string
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *         400:
+ *           description: AUTH.INVALID_EMAIL_TOKEN - 만료되었거나 이미 사용된 token
+ */
+exports.verifyEmail = [
+  body('token').isString(),
+  validationMiddleware,
+  async (req, res, next) => {
+    try {
+      const emailToken = await consumeEmailToken(req.body.token, 'VERIFY_EMAIL');
+      if (!emailToken) throw createError('AUTH.INVALID_EMAIL_TOKEN', 400);
+
+      await UserService.updateUser({ userId: emailToken.userId, emailVerifiedAt: new Date() });
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/email/resend:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['auth']
+ *       description: 이메일 인증 링크 재전송
+ *       summary: 이메일 인증 링크 재전송
+ *       operationId: resendVerificationEmail
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ */
+exports.resendVerificationEmail = [
+  authMiddleware,
+  activeSession,
+  async (req, res, next) => {
+    try {
+      const user = await UserService.getUserById(req.decoded.userId);
+      if (!user) throw new Error('USER.USER_NOT_FOUND');
+      if (user.emailVerifiedAt) throw new Error('AUTH.EMAIL_ALREADY_VERIFIED');
+
+      await sendVerificationMail(user);
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/password/forgot:
+ *     post:
+ *       tags: ['auth']
+ *       description: 비밀번호 재설정 링크를 메일로 전송 - 가입되지 않은 이메일이어도 같은 응답을 보냄
+ *       summary: 비밀번호 찾기
+ *       operationId: forgotPassword
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             required: true
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - email
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                   example: test@test.te
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ */
+exports.forgotPassword = [
+  body('email').isEmail(),
+  validationMiddleware,
+  async (req, res, next) => {
+    try {
+      const user = await UserService.getUserByEmail(req.body.email);
+      if (user) await sendPasswordResetMail(user);
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/password/reset:
+ *     post:
+ *       tags: ['auth']
+ *       description: 메일로 받은 링크의 token 으로 비밀번호 재설정 - 모든 세션이 로그아웃 되고 아직 사용하지 않은 다른 재설정 링크도 사용할 수 없게 되며 로그인 실패로 잠긴 계정은 잠금이 해제됨
+ *       summary: 비밀번호 재설정
+ *       operationId: resetPassword
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             required: true
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - token
+ *                 - newPassword
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 newPassword:
+ *                   type: string
+ *                   example: password
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *         400:
+ *           description: AUTH.INVALID_EMAIL_TOKEN - 만료되었거나 이미 사용된 token
+ */
+exports.resetPassword = [
+  body('token').isString(),
+  body('newPassword').exists(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const { token, newPassword } = req.body;
+
+    try {
+      const emailToken = await consumeEmailToken(token, 'RESET_PASSWORD');
+      if (!emailToken) throw createError('AUTH.INVALID_EMAIL_TOKEN', 400);
+
+      const user = await UserService.getUserById(emailToken.userId);
+      if (!user) throw new Error('USER.USER_NOT_FOUND');
+
+      const hashPassword = await bcrypt.hash(newPassword, 12);
+      await UserService.updateUserPassword(user.userId, hashPassword);
+      await SessionService.revokeSessionsByUserId(user.userId);
+      disconnectUser(req.io, user.userId);
+      // 같은 유저에게 보낸 다른 재설정 token 도 사용할 수 없게 함
+      await EmailTokenService.deleteTokensByUserId(user.userId, 'RESET_PASSWORD');
+      await loginThrottle.resetAccount(user.email);
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
 /**
  * @swagger
  * paths:
@@ -118,15 +407,342 @@ exports.join = [
  *                       token:
  *                         type: string
  *                         format: jwt
+ *                         description: access token (15분 후 만료)
+ *                       refreshToken:
+ *                         type: string
+ *                         description: /auth/refresh 로 token 을 재발급 받을 때 사용 (30일 후 만료, 1회용)
+ *         423:
+ *           description: AUTH.ACCOUNT_LOCKED - 로그인 실패가 반복되어 계정이 30분간 잠김, 비밀번호 재설정 시 바로 해제됨 (Retry-After header 에 남은 시간(초))
+ *         429:
+ *           description: AUTH.TOO_MANY_ATTEMPTS - 로그인 실패가 반복되어 잠시 후 다시 시도해야 함 (Retry-After header 에 기다릴 시간(초))
  */
 exports.login = [
   body('email').isEmail(),
   body('password').exists(),
   validationMiddleware,
   async (req, res, next) => {
+    const attempt = { email: req.body.email, ip: req.ip };
+
+    try {
+      await loginThrottle.assertCanAttempt(attempt);
+
+      const { user } = await AuthService.login(req.body).catch(async error => {
+        // 비밀번호가 틀린 경우는 assertCanAttempt 에서 센 실패가 그대로 남음
+        if (CREDENTIAL_ERRORS.indexOf(error.message) < 0) {
+          await loginThrottle.releaseAttempt(attempt);
+        }
+        throw error;
+      });
+      await loginThrottle.recordSuccess(attempt);
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.status(200).json({ success: true, data: { user, token, refreshToken } });
+    } catch (error) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/refresh:
+ *     post:
+ *       tags: ['auth']
+ *       description: refresh token 으로 access token 재발급 - refresh token 도 새로 발급되며 이미 사용한 refresh token 이 다시 사용되면 해당 세션이 만료됨
+ *       summary: token 재발급
+ *       operationId: refresh
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             required: true
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - refreshToken
+ *               properties:
+ *                 refreshToken:
+ *                   type: string
+ *       responses:
+ *         200:
+ *           description: new jwt token & refresh token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       token:
+ *                         type: string
+ *                         format: jwt
+ *                       refreshToken:
+ *                         type: string
+ *         401:
+ *           description: AUTH.INVALID_REFRESH_TOKEN / AUTH.REFRESH_TOKEN_REUSED
+ */
+exports.refresh = [
+  body('refreshToken').isString(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const refreshTokenHash = hashToken(req.body.refreshToken);
+
     try {
-      const { user, token } = await AuthService.login(req.body);
-      res.status(200).json({ success: true, data: { user, token } });
+      const session = await SessionService.getSessionByRefreshTokenHash(refreshTokenHash);
+      if (!session) {
+        // rotate 되어 이미 사용된 refresh token 이면 탈취된 것으로 보고 세션을 만료시킴
+        const reusedSession = await SessionService.getSessionByUsedRefreshTokenHash(
+          refreshTokenHash,
+        );
+        if (reusedSession) {
+          await SessionService.revokeSession(reusedSession.sessionId);
+          disconnectSession(req.io, reusedSession.sessionId);
+          throw createError('AUTH.REFRESH_TOKEN_REUSED', 401);
+        }
+        throw createError('AUTH.INVALID_REFRESH_TOKEN', 401);
+      }
+      if (session.revokedAt || new Date(session.expiresAt) < new Date()) {
+        throw createError('AUTH.INVALID_REFRESH_TOKEN', 401);
+      }
+
+      const refreshToken = generateToken();
+      // 같은 refresh token 으로 동시에 요청한 경우 하나만 rotate 됨
+      const isRotated = await SessionService.rotateRefreshToken(session.sessionId, {
+        prevRefreshTokenHash: refreshTokenHash,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: getRefreshTokenExpiresAt(),
+      });
+      if (!isRotated) {
+        await SessionService.revokeSession(session.sessionId);
+        disconnectSession(req.io, session.sessionId);
+        throw createError('AUTH.REFRESH_TOKEN_REUSED', 401);
+      }
+
+      const user = await UserService.getUserById(session.userId);
+      if (!user) throw new Error('USER.USER_NOT_FOUND');
+      const token = await createAccessToken(user, session.sessionId);
+
+      res.status(200).json({ success: true, data: { token, refreshToken } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/logout:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['auth']
+ *       description: 현재 세션 로그아웃 - 발급된 refresh token 을 더 이상 사용할 수 없음
+ *       summary: 로그아웃
+ *       operationId: logout
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ */
+exports.logout = [
+  authMiddleware,
+  activeSession,
+  async (req, res, next) => {
+    try {
+      await SessionService.revokeSession(req.decoded.sessionId);
+      disconnectSession(req.io, req.decoded.sessionId);
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/logout-all:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['auth']
+ *       description: 모든 기기에서 로그아웃 - 유저의 모든 세션이 만료됨
+ *       summary: 모든 기기에서 로그아웃
+ *       operationId: logoutAll
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ */
+exports.logoutAll = [
+  authMiddleware,
+  activeSession,
+  async (req, res, next) => {
+    try {
+      await SessionService.revokeSessionsByUserId(req.decoded.userId);
+      disconnectUser(req.io, req.decoded.userId);
+
+      res.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sessions:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: integer
+ *           example: 1
+ *         userAgent:
+ *           type: string
+ *           example: okhttp/4.7.2
+ *         ip:
+ *           type: string
+ *           example: 127.0.0.1
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         isCurrent:
+ *           type: boolean
+ *           description: 현재 요청한 세션인지 여부
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/sessions:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['auth']
+ *       description: 로그인 되어있는 세션(기기) 목록 조회
+ *       summary: 세션 목록 조회
+ *       operationId: getSessions
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       sessions:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Sessions'
+ */
+exports.getSessions = [
+  authMiddleware,
+  activeSession,
+  async (req, res, next) => {
+    const { userId, sessionId } = req.decoded;
+
+    try {
+      const sessions = await SessionService.getActiveSessionsByUserId(userId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            sessionId: session.sessionId,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            createdAt: session.createdAt,
+            isCurrent: session.sessionId === sessionId,
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /auth/sessions/{sessionId}:
+ *     delete:
+ *       security:
+ *         - JWT: []
+ *       tags: ['auth']
+ *       description: 특정 세션(기기) 로그아웃
+ *       summary: 특정 세션 로그아웃
+ *       operationId: deleteSession
+ *       parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ */
+exports.deleteSession = [
+  authMiddleware,
+  activeSession,
+  param('sessionId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const { userId } = req.decoded;
+    const { sessionId } = req.params;
+
+    try {
+      const session = await SessionService.getSessionById(sessionId);
+      if (!session || session.userId !== userId) throw new Error('AUTH.SESSION_NOT_FOUND');
+
+      await SessionService.revokeSession(sessionId);
+      disconnectSession(req.io, sessionId);
+
+      res.status(200).json({ success: true, data: {} });
     } catch (error) {
       next(error);
     }
@@ -141,7 +757,7 @@ exports.login = [
  *       security:
  *         - JWT: []
  *       tags: ['auth']
- *       description: verify token
+ *       description: verify token - 로그아웃 된 세션의 token 이면 AUTH.INVALID_TOKEN
  *       summary: verify token
  *       operationId: verifyToken
  *       responses:
@@ -162,8 +778,14 @@ exports.login = [
  */
 exports.verifyToken = [
   authMiddleware,
+  activeSession,
   async (req, res, next) => {
     const user = req.decoded;
-    res.status(200).json({ success: true, data: { user } });
+
+    try {
+      res.status(200).json({ success: true, data: { user } });
+    } catch (error) {
+      next(error);
+    }
   },
 ];
@@ -1,6 +1,9 @@
 const BoardService = require('../services/board.service');
 const { validationMiddleware } = require('../middlewares');
 const { checkSchema, query } = require('express-validator');
+const { cursorQuery, getCursor, paginate } = require('../utils/cursor');
+
+const BOARD_CURSOR_FIELDS = ['boardId'];
 
 /**
  * @swagger
@@ -24,6 +27,14 @@ const { checkSchema, query } = require('express-validator');
  *       - name: offset
  *         in: query
  *         type: number
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           description: board data
@@ -38,6 +49,10 @@ const { checkSchema, query } = require('express-validator');
  *                     type: array
  *                     items:
  *                       $ref: '#/components/schemas/Boards'
+ *                   nextCursor:
+ *                     type: string
+ *                     nullable: true
+ *                     description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  */
 exports.getBoardListByType = [
   checkSchema({
@@ -49,18 +64,21 @@ exports.getBoardListByType = [
       },
     },
   }),
+  ...cursorQuery,
   validationMiddleware,
   async (req, res, next) => {
     const { type } = req.params;
     const { limit = 10, offset = 0 } = req.query;
 
     try {
-      const board = await BoardService.getBoardListByType(type, +limit, +offset);
+      const cursor = getCursor(req.query, BOARD_CURSOR_FIELDS);
+
+      // 다음 페이지가 있는지 확인하기 위해 1개 더 조회
+      const rows = await BoardService.getBoardListByType(type, +limit + 1, +offset, cursor);
+      const { items: board, nextCursor } = paginate(rows, +limit, BOARD_CURSOR_FIELDS);
 
-      return res.status(200).json({
-        success: true,
-        data: board,
-      });
+      // offset 으로 조회하던 클라이언트를 위해 data 는 배열로 유지하고 nextCursor 는 따로 보냄
+      return res.status(200).json({ success: true, data: board, nextCursor });
     } catch (error) {
       next(error);
     }
@@ -2,7 +2,82 @@ const UserService = require('../services/user.service');
 const ChattingService = require('../services/chatting.service');
 
 const { validationMiddleware } = require('../middlewares');
+const activeSession = require('../middlewares/activeSession');
 const { body, query } = require('express-validator');
+const { encodeCursor, cursorQuery, getCursor, paginate } = require('../utils/cursor');
+const createError = require('../utils/createError');
+const {
+  MESSAGE_TYPE,
+  toClientMessage,
+  getSnippet,
+  sendMessage,
+} = require('../utils/chattingMessage');
+const {
+  ROOM_TYPE,
+  getUserSocketRoom,
+  toUserIds,
+  getMemberRoom,
+  getMemberIds,
+  findLegacyRoom,
+  getOrCreateRoom,
+} = require('../utils/chattingRoom');
+const { getOrderOwnerId } = require('../utils/orderOwner');
+const { assertNotBlocked } = require('../utils/block');
+const { getPresence } = require('../sockets/presence');
+
+// 채팅방 목록 정렬 - updatedAt 이 같은 채팅방은 roomId 로 순서를 정해서 페이지 사이에 빠지거나 중복되지 않게 함
+const ROOM_SORT = [
+  ['updatedAt', 'DESC'],
+  ['roomId', 'DESC'],
+];
+// cursor 에 담는 정렬 필드
+const ROOM_CURSOR_FIELDS = ROOM_SORT.map(([field]) => field);
+const MESSAGE_CURSOR_FIELDS = ['messageId'];
+const PREVIEW_LENGTH = 50;
+// 메세지를 보낸 후 수정할 수 있는 시간
+const EDIT_WINDOW = 1000 * 60 * 15;
+const EMOJI_PATTERN = /^(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const MAX_TITLE_LENGTH = 50;
+const MAX_MEMBERS = 50;
+const MIN_KEYWORD_LENGTH = 2;
+
+// roomKey 채팅방의 메세지 조회 - 채팅방 멤버가 아니거나 다른 채팅방의 메세지면 에러
+const getRoomMessage = async (roomKey, messageId, userId) => {
+  const chattingRoom = await getMemberRoom(roomKey, userId);
+
+  const message = await ChattingService.getMessageById(messageId);
+  if (!message || message.roomId !== chattingRoom.roomId) {
+    throw new Error('CHATTING.INVALID_MESSAGE');
+  }
+
+  return { chattingRoom, message };
+};
+
+// 수정 / 삭제는 보낸 사람만, 삭제된 메세지는 변경할 수 없음
+const assertMessageOwner = (message, userId) => {
+  if (message.userId !== userId) throw createError('CHATTING.NOT_MESSAGE_OWNER', 403);
+  if (message.deletedAt) throw new Error('CHATTING.MESSAGE_DELETED');
+};
+
+// 멤버 추가 / 삭제 / 나가기는 GROUP 채팅방에서만 가능
+const assertGroupRoom = chattingRoom => {
+  if (chattingRoom.type !== ROOM_TYPE.GROUP) {
+    throw createError('CHATTING.MEMBERS_NOT_EDITABLE', 409);
+  }
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}...` : text);
+
+// 채팅방 목록에 보여줄 마지막 메세지 요약, 삭제된 메세지는 message 가 null
+const toPreview = message =>
+  message && {
+    messageId: message.messageId,
+    userId: message.userId,
+    type: message.type,
+    message: message.deletedAt ? null : truncate(message.message, PREVIEW_LENGTH),
+    isDeleted: !!message.deletedAt,
+    createdAt: message.createdAt,
+  };
 
 /**
  * @swagger
@@ -12,7 +87,7 @@ const { body, query } = require('express-validator');
  *       security:
  *         - JWT: []
  *       tags: ['chatting']
- *       description: 채팅룸 조회
+ *       description: 채팅룸 조회 - 멤버만 조회 가능
  *       summary: 채팅룸 조회
  *       operationId: room
  *       parameters:
@@ -21,7 +96,7 @@ const { body, query } = require('express-validator');
  *         description: roomKey
  *         required: true
  *         type: string
- *         example: 1-2-3
+ *         example: 9f86d081884c7d659a2feaa0c55ad015
  *       responses:
  *         200:
  *           description: chattingRoom data
@@ -41,8 +116,28 @@ const { body, query } = require('express-validator');
  *                         type: array
  *                         items:
  *                           $ref: '#/components/schemas/Users'
+ *                       reads:
+ *                         type: array
+ *                         description: 멤버별 마지막으로 읽은 메세지
+ *                         items:
+ *                           $ref: '#/components/schemas/ChattingReads'
+ *                       presence:
+ *                         type: array
+ *                         description: 멤버별 접속 상태 - socket 의 'presence' 이벤트로 변경이 전달됨
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             userId:
+ *                               type: integer
+ *                             online:
+ *                               type: boolean
+ *                             lastSeenAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
  */
 exports.room = [
+  activeSession,
   query('roomKey').exists(),
   validationMiddleware,
   async (req, res, next) => {
@@ -50,10 +145,14 @@ exports.room = [
       const userId = req.decoded.userId;
       const roomKey = req.query.roomKey;
 
-      const chattingRoom = await ChattingService.getRoomByRoomKey(roomKey, userId);
-      const users = await UserService.getUserByIds(roomKey.split('-'));
+      const chattingRoom = await getMemberRoom(roomKey, userId);
+      const users = await UserService.getUserByIds(await getMemberIds(chattingRoom.roomId));
+      const reads = await ChattingService.getReads(chattingRoom.roomId);
 
-      return res.json({ success: true, data: { chattingRoom, users } });
+      return res.json({
+        success: true,
+        data: { chattingRoom, users, reads, presence: getPresence(users) },
+      });
     } catch (error) {
       next(error);
     }
@@ -68,7 +167,11 @@ exports.room = [
  *       security:
  *         - JWT: []
  *       tags: ['chatting']
- *       description: 채팅룸 생성
+ *       description: |
+ *         채팅룸 생성 - 요청한 유저는 자동으로 멤버에 포함됨
+ *         - orderType, orderId 가 있으면 order 에 연결된 ORDER 채팅방 (같은 멤버, 같은 order 의 채팅방이 있으면 그 채팅방을 돌려줌, order 를 올린 사람이 멤버에 있어야 함)
+ *         - 멤버가 2명이고 title 이 없으면 DIRECT 채팅방 (같은 두 사람의 채팅방이 있으면 그 채팅방을 돌려줌)
+ *         - 그 외에는 새 GROUP 채팅방 (멤버 추가 / 삭제 / 나가기 가능)
  *       summary: 채팅룸 생성
  *       operationId: joinRoom
  *       requestBody:
@@ -87,6 +190,16 @@ exports.room = [
  *                     - 1
  *                     - 2
  *                     - 3
+ *                 title:
+ *                   type: string
+ *                   maxLength: 50
+ *                   example: 마트 장보기 같이 해요
+ *                 orderType:
+ *                   type: string
+ *                   enum: [shopper, runner]
+ *                 orderId:
+ *                   type: integer
+ *                   example: 1
  *       responses:
  *         200:
  *           description: chattingRoom data
@@ -108,28 +221,53 @@ exports.room = [
  *                           $ref: '#/components/schemas/Users'
  */
 exports.joinRoom = [
+  activeSession,
   body('userIds')
     .custom(userIds => Array.isArray(userIds) && userIds.length > 0)
     .withMessage('userIds is Array & userIds is required'),
+  body('title').isString().trim().isLength({ min: 1, max: MAX_TITLE_LENGTH }).optional(),
+  body('orderType').isIn(['shopper', 'runner']).optional(),
+  body('orderId').isInt().toInt().optional(),
   validationMiddleware,
   async (req, res, next) => {
     try {
       const userId = req.decoded.userId;
-      const userIds = req.body.userIds.map(userId => +userId).sort();
-      if (userIds.indexOf(userId) === -1) userIds.push(userId);
-      if (userIds.length < 2) throw new Error('CHATTING.INVALID_MEMBER');
+      const { title, orderType, orderId } = req.body;
+      // orderType, orderId 는 함께 있어야 함
+      if (!orderType !== (orderId === undefined)) throw createError('CHATTING.INVALID_ORDER', 400);
 
-      const roomKey = userIds.join('-');
+      const userIds = toUserIds(req.body.userIds.concat(userId));
+      if (userIds.length < 2 || userIds.length > MAX_MEMBERS) {
+        throw new Error('CHATTING.INVALID_MEMBER');
+      }
 
-      let chattingRoom = await ChattingService.getRoomByRoomKey(roomKey, userId);
-      if (!chattingRoom) {
-        const { isSame } = await UserService.getUserCountByIds(userIds);
-        if (!isSame) throw new Error('CHATTING.INVALID_MEMBER');
+      const { isSame } = await UserService.getUserCountByIds(userIds);
+      if (!isSame) throw new Error('CHATTING.INVALID_MEMBER');
+      await assertNotBlocked(userId, userIds);
 
-        chattingRoom = await ChattingService.createRoom(userIds);
+      let type = ROOM_TYPE.GROUP;
+      if (orderType) {
+        const ownerId = await getOrderOwnerId(orderType, orderId);
+        if (userIds.indexOf(ownerId) === -1) throw new Error('CHATTING.INVALID_MEMBER');
+        type = ROOM_TYPE.ORDER;
+      } else if (userIds.length === 2 && !title) {
+        type = ROOM_TYPE.DIRECT;
       }
 
-      const users = await UserService.getUserByIds(userIds);
+      // 이전 형식의 key 로 만들어진 채팅방이 있으면 새로 만들지 않고 그대로 사용
+      const legacyRoom =
+        type !== ROOM_TYPE.ORDER && !title ? await findLegacyRoom(req.body.userIds, userId) : null;
+      const chattingRoom =
+        legacyRoom ||
+        (await getOrCreateRoom({
+          type,
+          userIds,
+          ownerId: userId,
+          title,
+          orderType,
+          orderId,
+        }));
+      const users = await UserService.getUserByIds(await getMemberIds(chattingRoom.roomId));
 
       return res.json({ success: true, data: { chattingRoom, users } });
     } catch (error) {
@@ -138,6 +276,232 @@ exports.joinRoom = [
   },
 ];
 
+/**
+ * @swagger
+ * paths:
+ *   /chatting/addMembers:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: GROUP 채팅방에 멤버 추가 - 멤버만 추가 가능, 채팅방에 'memberJoined' 이벤트로 전달됨
+ *       summary: 채팅방 멤버 추가
+ *       operationId: addMembers
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - userIds
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 userIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example:
+ *                     - 4
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       users:
+ *                         type: array
+ *                         description: 추가된 후의 전체 멤버
+ *                         items:
+ *                           $ref: '#/components/schemas/Users'
+ *         403:
+ *           description: 채팅방 멤버가 아님
+ *         409:
+ *           description: GROUP 채팅방이 아님
+ */
+exports.addMembers = [
+  activeSession,
+  body('roomKey').exists(),
+  body('userIds')
+    .custom(userIds => Array.isArray(userIds) && userIds.length > 0)
+    .withMessage('userIds is Array & userIds is required'),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey } = req.body;
+
+    try {
+      const chattingRoom = await getMemberRoom(roomKey, userId);
+      assertGroupRoom(chattingRoom);
+
+      const memberIds = await getMemberIds(chattingRoom.roomId);
+      const userIds = toUserIds(req.body.userIds).filter(id => memberIds.indexOf(id) === -1);
+      if (userIds.length === 0 || memberIds.length + userIds.length > MAX_MEMBERS) {
+        throw new Error('CHATTING.INVALID_MEMBER');
+      }
+
+      const { isSame } = await UserService.getUserCountByIds(userIds);
+      if (!isSame) throw new Error('CHATTING.INVALID_MEMBER');
+      await assertNotBlocked(userId, userIds);
+
+      await ChattingService.addMembers(chattingRoom.roomId, userIds);
+      const users = await UserService.getUserByIds(memberIds.concat(userIds));
+
+      // 추가된 멤버의 socket 도 채팅방 이벤트를 받도록 join 시킴
+      req.io.in(userIds.map(getUserSocketRoom)).socketsJoin(roomKey);
+      req.io.sockets.in(roomKey).emit('memberJoined', { roomKey, userIds, invitedBy: userId });
+
+      return res.json({ success: true, data: { users } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/removeMember:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: GROUP 채팅방에서 멤버 내보내기 - 채팅방을 만든 사람(ownerId)만 가능, 채팅방에 'memberLeft' 이벤트로 전달됨
+ *       summary: 채팅방 멤버 내보내기
+ *       operationId: removeMember
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - userId
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 userId:
+ *                   type: integer
+ *                   example: 4
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *         403:
+ *           description: 채팅방을 만든 사람이 아님
+ *         409:
+ *           description: GROUP 채팅방이 아님
+ */
+exports.removeMember = [
+  activeSession,
+  body('roomKey').exists(),
+  body('userId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey } = req.body;
+    const memberId = req.body.userId;
+
+    try {
+      const chattingRoom = await getMemberRoom(roomKey, userId);
+      assertGroupRoom(chattingRoom);
+      if (chattingRoom.ownerId !== userId) throw createError('CHATTING.NOT_ROOM_OWNER', 403);
+      // 자신은 leaveRoom 으로 나감
+      if (memberId === userId) throw new Error('CHATTING.INVALID_MEMBER');
+
+      const member = await ChattingService.getMember(chattingRoom.roomId, memberId);
+      if (!member) throw new Error('CHATTING.INVALID_MEMBER');
+
+      req.io.sockets
+        .in(roomKey)
+        .emit('memberLeft', { roomKey, userId: memberId, removedBy: userId });
+      await ChattingService.removeMember(chattingRoom.roomId, memberId);
+      req.io.in(getUserSocketRoom(memberId)).socketsLeave(roomKey);
+
+      return res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/leaveRoom:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: GROUP 채팅방 나가기 - 채팅방을 만든 사람이 나가면 가장 먼저 들어온 멤버에게 넘어감, 채팅방에 'memberLeft' 이벤트로 전달됨
+ *       summary: 채팅방 나가기
+ *       operationId: leaveRoom
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *         409:
+ *           description: GROUP 채팅방이 아님
+ */
+exports.leaveRoom = [
+  activeSession,
+  body('roomKey').exists(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey } = req.body;
+
+    try {
+      const chattingRoom = await getMemberRoom(roomKey, userId);
+      assertGroupRoom(chattingRoom);
+
+      req.io.sockets.in(roomKey).emit('memberLeft', { roomKey, userId, removedBy: null });
+      await ChattingService.removeMember(chattingRoom.roomId, userId);
+      req.io.in(getUserSocketRoom(userId)).socketsLeave(roomKey);
+
+      // getMembers 는 들어온 순서로 조회됨
+      if (chattingRoom.ownerId === userId) {
+        const memberIds = await getMemberIds(chattingRoom.roomId);
+        await ChattingService.updateRoom(chattingRoom.roomId, { ownerId: memberIds[0] || null });
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
 /**
  * @swagger
  * paths:
@@ -146,7 +510,7 @@ exports.joinRoom = [
  *       security:
  *         - JWT: []
  *       tags: ['chatting']
- *       description: 채팅방 목록 로드
+ *       description: 채팅방 목록 로드 - 최근에 변경된(updatedAt) 순, 같으면 roomId 역순
  *       summary: 채팅방 목록 로드
  *       operationId: loadRoom
  *       parameters:
@@ -160,6 +524,14 @@ exports.joinRoom = [
  *         type: number
  *         default: 0
  *         example: 0
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           description: chattingRoom data, <Memo> users 정보는 array여야 함..
@@ -173,24 +545,66 @@ exports.joinRoom = [
  *                   data:
  *                     type: object
  *                     properties:
- *                       chattingMessage:
+ *                       chattingRooms:
  *                         type: array
  *                         items:
- *                           $ref: '#/components/schemas/ChattingMessages'
+ *                           $ref: '#/components/schemas/ChattingRooms'
  *                           properties:
  *                             users:
  *                               $ref: '#/components/schemas/Users'
+ *                             unreadCount:
+ *                               type: integer
+ *                               description: 읽지 않은 메세지 수
+ *                               example: 3
+ *                             lastMessage:
+ *                               type: object
+ *                               nullable: true
+ *                               description: 마지막 메세지 (message 는 50자까지만 포함)
+ *                               properties:
+ *                                 messageId:
+ *                                   type: integer
+ *                                 userId:
+ *                                   type: integer
+ *                                 type:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *                                 createdAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  */
 
 exports.loadRoom = [
+  activeSession,
+  ...cursorQuery,
+  validationMiddleware,
   async (req, res, next) => {
     try {
       const userId = req.decoded.userId;
       const { limit = 30, offset = 0 } = req.query;
+      const cursor = getCursor(req.query, ROOM_CURSOR_FIELDS);
+
+      // 다음 페이지가 있는지 확인하기 위해 1개 더 조회
+      const rows = await ChattingService.loadRoom(userId, +limit + 1, +offset, cursor, ROOM_SORT);
+      const { items, nextCursor } = paginate(rows, +limit, ROOM_CURSOR_FIELDS);
 
-      const chattingRooms = await ChattingService.loadRoom(userId, +limit, +offset);
+      // { [roomId]: count }, { [roomId]: message }
+      const roomIds = items.map(room => room.roomId);
+      const unreadCounts = await ChattingService.getUnreadCounts(userId, roomIds);
+      const lastMessages = await ChattingService.getLastMessages(roomIds);
+
+      const chattingRooms = items.map(room =>
+        Object.assign(room.toJSON ? room.toJSON() : room, {
+          unreadCount: unreadCounts[room.roomId] || 0,
+          lastMessage: toPreview(lastMessages[room.roomId]) || null,
+        }),
+      );
 
-      return res.json({ success: true, data: { chattingRooms } });
+      return res.json({ success: true, data: { chattingRooms, nextCursor } });
     } catch (error) {
       next(error);
     }
@@ -214,7 +628,7 @@ exports.loadRoom = [
  *         description: roomKey
  *         required: true
  *         type: string
- *         example: 1-2-3
+ *         example: 9f86d081884c7d659a2feaa0c55ad015
  *       - name: limit
  *         in: query
  *         type: number
@@ -225,6 +639,14 @@ exports.loadRoom = [
  *         type: number
  *         default: 0
  *         example: 0
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           description: chattingRoom data
@@ -242,26 +664,171 @@ exports.loadRoom = [
  *                         type: array
  *                         items:
  *                           $ref: '#/components/schemas/ChattingMessages'
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  */
 exports.loadMessage = [
+  activeSession,
   query('roomKey').exists(),
+  ...cursorQuery,
   validationMiddleware,
   async (req, res, next) => {
     const userId = req.decoded.userId;
     const { roomKey, limit = 30, offset = 0 } = req.query;
 
     try {
-      let chattingRoom = await ChattingService.getRoomByRoomKey(roomKey, userId);
+      const chattingRoom = await getMemberRoom(roomKey, userId);
 
-      if (!chattingRoom) throw new Error('CHATTING.INVALID_ROOMKEY');
+      const cursor = getCursor(req.query, MESSAGE_CURSOR_FIELDS);
 
-      const chattingMessage = await ChattingService.loadMessage(
+      // 다음 페이지가 있는지 확인하기 위해 1개 더 조회
+      const rows = await ChattingService.loadMessage(
         chattingRoom.roomId,
-        +limit,
+        +limit + 1,
         +offset,
+        cursor,
       );
+      const { items, nextCursor } = paginate(rows, +limit, MESSAGE_CURSOR_FIELDS);
+      const chattingMessage = items.map(toClientMessage);
 
-      return res.json({ success: true, data: { chattingMessage } });
+      return res.json({ success: true, data: { chattingMessage, nextCursor } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/search:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: |
+ *         멤버인 모든 채팅방(roomKey 가 있으면 그 채팅방)의 메세지 검색 - 삭제된 메세지는 제외, 최신 메세지부터 조회
+ *         검색된 메세지 앞뒤의 대화는 결과의 messageCursor 를 /chatting/loadMessage 의 before(이후 메세지) / after(이전 메세지) 로 넘겨서 조회
+ *       summary: 채팅 메세지 검색
+ *       operationId: search
+ *       parameters:
+ *       - name: q
+ *         in: query
+ *         description: 검색어 (2 ~ 100자)
+ *         required: true
+ *         type: string
+ *         example: 세종대로
+ *       - name: roomKey
+ *         in: query
+ *         type: string
+ *         example: 9f86d081884c7d659a2feaa0c55ad015
+ *       - name: limit
+ *         in: query
+ *         type: number
+ *         default: 20
+ *         example: 20
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(이후에 새로 보낸 메세지) 검색 결과를 조회
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 다음 검색 결과를 조회
+ *         type: string
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       results:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             chattingMessage:
+ *                               $ref: '#/components/schemas/ChattingMessages'
+ *                             chattingRoom:
+ *                               type: object
+ *                               properties:
+ *                                 roomKey:
+ *                                   type: string
+ *                                 type:
+ *                                   type: string
+ *                                   enum: [DIRECT, GROUP, ORDER]
+ *                                 title:
+ *                                   type: string
+ *                                   nullable: true
+ *                             snippet:
+ *                               type: string
+ *                               description: 검색어 앞뒤 30자
+ *                               example: ...주소는 서울특별시 중구 세종대로 110 입니다
+ *                             highlights:
+ *                               type: array
+ *                               description: snippet 안의 검색어 위치 [start, end)
+ *                               items:
+ *                                 type: array
+ *                                 items:
+ *                                   type: integer
+ *                               example: [[16, 20]]
+ *                             messageCursor:
+ *                               type: string
+ *                               description: /chatting/loadMessage 의 before / after 로 넘겨서 메세지 앞뒤의 대화 조회
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ */
+exports.search = [
+  activeSession,
+  query('q').isString().trim().isLength({ min: MIN_KEYWORD_LENGTH, max: 100 }),
+  query('roomKey').isString().optional(),
+  query('limit').isInt({ min: 1, max: 50 }).optional().toInt(),
+  ...cursorQuery,
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { q: keyword, roomKey, limit = 20 } = req.query;
+
+    try {
+      const chattingRoom = roomKey ? await getMemberRoom(roomKey, userId) : null;
+      const cursor = getCursor(req.query, MESSAGE_CURSOR_FIELDS);
+
+      // 멤버인 채팅방의 삭제되지 않은 메세지만 조회되며 각 메세지에 chattingRoom 이 포함됨
+      const rows = await ChattingService.searchMessages({
+        userId,
+        roomId: chattingRoom ? chattingRoom.roomId : null,
+        keyword,
+        excludeDeleted: true,
+        limit: limit + 1,
+        cursor,
+      });
+      const { items, nextCursor } = paginate(rows, limit, MESSAGE_CURSOR_FIELDS);
+
+      const results = items
+        .map(row => (row.toJSON ? row.toJSON() : row))
+        .filter(row => !row.deletedAt)
+        .map(({ chattingRoom: room, ...message }) => {
+          // toClientMessage 가 message 를 바꾸기 전에 원본 text 로 snippet 을 만듦
+          const snippet = getSnippet(message.message || '', keyword);
+          return Object.assign(
+            {
+              chattingMessage: toClientMessage(message),
+              chattingRoom: { roomKey: room.roomKey, type: room.type, title: room.title },
+              messageCursor: encodeCursor({ messageId: message.messageId }),
+            },
+            snippet,
+          );
+        });
+
+      return res.json({ success: true, data: { results, nextCursor } });
     } catch (error) {
       next(error);
     }
@@ -276,7 +843,7 @@ exports.loadMessage = [
  *       security:
  *         - JWT: []
  *       tags: ['chatting']
- *       description: 채팅방 대화 전송
+ *       description: 채팅방 대화 전송 - socket 의 'sendMessage' 이벤트로도 보낼 수 있음, 채팅방에 'message' 이벤트로 전달됨
  *       summary: 채팅방 대화 전송
  *       operationId: sendMessage
  *       requestBody:
@@ -286,14 +853,29 @@ exports.loadMessage = [
  *               type: object
  *               required:
  *                 - roomKey
- *                 - message
  *               properties:
  *                 roomKey:
  *                   type: string
- *                   example: 1-2-3
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 type:
+ *                   type: string
+ *                   enum: [TEXT, IMAGE, LOCATION, ORDER]
+ *                   default: TEXT
  *                 message:
  *                   type: string
+ *                   description: TEXT 타입은 필수, 다른 타입은 없으면 사진 / 주소 / order 제목으로 저장됨
  *                   example: 아무 메세지나 보내봅시다.
+ *                 payload:
+ *                   type: object
+ *                   description: |
+ *                     타입별 데이터
+ *                     - IMAGE: { files: [{ path }] } - /upload/chattingImages 로 업로드한 파일 (최대 10개)
+ *                     - LOCATION: { lat, lng, address? }
+ *                     - ORDER: { orderType: shopper | runner, orderId } - 응답에는 order 의 title, price, runnerTip, status 가 포함됨
+ *                   example:
+ *                     lat: 37.5665
+ *                     lng: 126.978
+ *                     address: 서울특별시 중구 세종대로 110
  *       responses:
  *         200:
  *           description: chattingRoom data
@@ -311,25 +893,272 @@ exports.loadMessage = [
  *                         $ref: '#/components/schemas/ChattingMessages'
  */
 exports.sendMessage = [
+  activeSession,
   body('roomKey').exists(),
-  body('message').exists(),
+  body('type').isIn(MESSAGE_TYPE).optional(),
   validationMiddleware,
   async (req, res, next) => {
     const userId = req.decoded.userId;
-    const { message, roomKey, type } = req.body;
+    const { roomKey, type, message, payload } = req.body;
 
     try {
-      const chattingRoom = await ChattingService.getRoomByRoomKey(roomKey, userId);
-      if (!chattingRoom) throw new Error('CHATTING.INVALID_ROOMKEY');
-
-      const chattingMessage = await ChattingService.createMessage(
+      const chattingMessage = await sendMessage(req.io, {
+        roomKey,
         userId,
+        type,
         message,
+        payload,
+      });
+
+      return res.json({ success: true, data: { chattingMessage } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChattingReads:
+ *       type: object
+ *       properties:
+ *         roomId:
+ *           type: integer
+ *           example: 1
+ *         userId:
+ *           type: integer
+ *           example: 1
+ *         lastReadMessageId:
+ *           type: integer
+ *           example: 10
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/read:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: 채팅방 메세지 읽음 처리 - messageId 까지 읽은 것으로 처리하며 없으면 마지막 메세지까지 읽음 처리, 채팅방에 'read' 이벤트로 전달됨
+ *       summary: 채팅방 메세지 읽음 처리
+ *       operationId: read
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 messageId:
+ *                   type: integer
+ *                   example: 10
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       read:
+ *                         $ref: '#/components/schemas/ChattingReads'
+ */
+exports.read = [
+  activeSession,
+  body('roomKey').exists(),
+  body('messageId').isInt().optional().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey, messageId } = req.body;
+
+    try {
+      let chattingRoom, message;
+      if (messageId) {
+        ({ chattingRoom, message } = await getRoomMessage(roomKey, messageId, userId));
+      } else {
+        chattingRoom = await getMemberRoom(roomKey, userId);
+
+        const lastMessages = await ChattingService.getLastMessages([chattingRoom.roomId]);
+        message = lastMessages[chattingRoom.roomId];
+        if (!message) throw new Error('CHATTING.INVALID_MESSAGE');
+      }
+
+      // 이미 더 뒤의 메세지까지 읽었다면 변경되지 않음
+      const read = await ChattingService.updateLastRead(
         chattingRoom.roomId,
-        type,
+        userId,
+        message.messageId,
+      );
+
+      req.io.sockets.in(roomKey).emit('read', {
+        roomKey,
+        userId,
+        lastReadMessageId: read.lastReadMessageId,
+        readAt: read.readAt,
+      });
+
+      return res.json({ success: true, data: { read } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/editMessage:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: 메세지 수정 - TEXT 메세지를 보낸 사람만 보낸 후 15분 안에 수정 가능, 채팅방에 'messageUpdated' 이벤트로 전달됨
+ *       summary: 메세지 수정
+ *       operationId: editMessage
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - messageId
+ *                 - message
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 messageId:
+ *                   type: integer
+ *                   example: 10
+ *                 message:
+ *                   type: string
+ *                   example: 수정한 메세지
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       chattingMessage:
+ *                         $ref: '#/components/schemas/ChattingMessages'
+ */
+exports.editMessage = [
+  activeSession,
+  body('roomKey').exists(),
+  body('messageId').isInt().toInt(),
+  body('message').isString().trim().notEmpty(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey, messageId, message } = req.body;
+
+    try {
+      const { message: prevMessage } = await getRoomMessage(roomKey, messageId, userId);
+      assertMessageOwner(prevMessage, userId);
+      // 이전에 저장된 메세지는 type 이 없을 수 있음
+      if (prevMessage.type && prevMessage.type !== 'TEXT') {
+        throw new Error('CHATTING.MESSAGE_NOT_EDITABLE');
+      }
+      if (Date.now() - new Date(prevMessage.createdAt) > EDIT_WINDOW) {
+        throw new Error('CHATTING.EDIT_WINDOW_EXPIRED');
+      }
+
+      // 수정 전 내용은 service 에서 수정 이력으로 남김
+      const chattingMessage = toClientMessage(
+        await ChattingService.updateMessage(messageId, { message, editedAt: new Date() }),
+      );
+
+      req.io.sockets.in(roomKey).emit('messageUpdated', chattingMessage);
+
+      return res.json({ success: true, data: { chattingMessage } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/deleteMessage:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: 메세지 삭제 (모든 멤버에게서 삭제) - 보낸 사람만 가능, 내용은 숨겨지지만 분쟁 확인을 위해 보관됨, 채팅방에 'messageDeleted' 이벤트로 전달됨
+ *       summary: 메세지 삭제
+ *       operationId: deleteMessage
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - messageId
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 messageId:
+ *                   type: integer
+ *                   example: 10
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       chattingMessage:
+ *                         $ref: '#/components/schemas/ChattingMessages'
+ */
+exports.deleteMessage = [
+  activeSession,
+  body('roomKey').exists(),
+  body('messageId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey, messageId } = req.body;
+
+    try {
+      const { message } = await getRoomMessage(roomKey, messageId, userId);
+      assertMessageOwner(message, userId);
+
+      const chattingMessage = toClientMessage(
+        await ChattingService.updateMessage(messageId, { deletedAt: new Date() }),
       );
 
-      req.io.sockets.in(roomKey).emit('message', chattingMessage.toJSON());
+      req.io.sockets.in(roomKey).emit('messageDeleted', chattingMessage);
 
       return res.json({ success: true, data: { chattingMessage } });
     } catch (error) {
@@ -337,3 +1166,168 @@ exports.sendMessage = [
     }
   },
 ];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChattingReactions:
+ *       type: object
+ *       properties:
+ *         emoji:
+ *           type: string
+ *           example: 👍
+ *         count:
+ *           type: integer
+ *           example: 2
+ *         userIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/addReaction:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: 메세지에 이모지 반응 추가 - 채팅방에 'reaction' 이벤트로 전달됨
+ *       summary: 메세지 반응 추가
+ *       operationId: addReaction
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - messageId
+ *                 - emoji
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 messageId:
+ *                   type: integer
+ *                   example: 10
+ *                 emoji:
+ *                   type: string
+ *                   example: 👍
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       reactions:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ChattingReactions'
+ */
+exports.addReaction = [
+  activeSession,
+  body('roomKey').exists(),
+  body('messageId').isInt().toInt(),
+  body('emoji').isString().isLength({ max: 16 }).matches(EMOJI_PATTERN),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey, messageId, emoji } = req.body;
+
+    try {
+      const { message } = await getRoomMessage(roomKey, messageId, userId);
+      if (message.deletedAt) throw new Error('CHATTING.MESSAGE_DELETED');
+
+      // 같은 이모지를 다시 추가해도 한 번만 저장됨
+      await ChattingService.addReaction(messageId, userId, emoji);
+      const reactions = await ChattingService.getReactions(messageId);
+
+      req.io.sockets.in(roomKey).emit('reaction', { roomKey, messageId, reactions });
+
+      return res.json({ success: true, data: { reactions } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /chatting/removeReaction:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['chatting']
+ *       description: 자신이 추가한 이모지 반응 삭제 - 채팅방에 'reaction' 이벤트로 전달됨
+ *       summary: 메세지 반응 삭제
+ *       operationId: removeReaction
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - roomKey
+ *                 - messageId
+ *                 - emoji
+ *               properties:
+ *                 roomKey:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015
+ *                 messageId:
+ *                   type: integer
+ *                   example: 10
+ *                 emoji:
+ *                   type: string
+ *                   example: 👍
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       reactions:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ChattingReactions'
+ */
+exports.removeReaction = [
+  activeSession,
+  body('roomKey').exists(),
+  body('messageId').isInt().toInt(),
+  body('emoji').isString(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { roomKey, messageId, emoji } = req.body;
+
+    try {
+      await getRoomMessage(roomKey, messageId, userId);
+
+      await ChattingService.removeReaction(messageId, userId, emoji);
+      const reactions = await ChattingService.getReactions(messageId);
+
+      req.io.sockets.in(roomKey).emit('reaction', { roomKey, messageId, reactions });
+
+      return res.json({ success: true, data: { reactions } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
@@ -0,0 +1,506 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const LocationService = require('../services/location.service');
+const OrderRequestHistoryService = require('../services/orderRequestHistory.service');
+const ReviewService = require('../services/review.service');
+const { validationMiddleware } = require('../middlewares');
+const activeSession = require('../middlewares/activeSession');
+const orderRequestPolicy = require('../middlewares/orderRequestPolicy');
+const { getOrderRequest, toVisibleRequest } = orderRequestPolicy;
+const { body, query } = require('express-validator');
+const { REQUEST_STATUS, PARTY, assertTransition } = require('../utils/orderRequestStatus');
+const createError = require('../utils/createError');
+const { REVIEWABLE_STATUS, reviewBody, getRevieweeId } = require('../utils/review');
+const { PIN_LENGTH, issuePin, verifyPin } = require('../utils/handoffPin');
+const { toUploadedFiles } = require('../utils/uploadedFile');
+const { assertTrackable, recordLocation, getLatestLocation } = require('../utils/runnerLocation');
+const escrow = require('../utils/escrow');
+const {
+  changeRequestStatus: changeOrderRequestStatus,
+} = require('../utils/orderRequestTransition');
+const {
+  ACTIVE_STATUS,
+  cancelBody,
+  getCancelPolicy,
+  applyPenalty,
+  notifyCanceled,
+} = require('../utils/cancellation');
+const { cursorQuery, findPage } = require('../utils/cursor');
+
+// orderType 별 service 와 order 를 올린 사람의 필드
+const orderTypes = {
+  shopper: { Service: ShopperService, ownerField: 'shopperId' },
+  runner: { Service: RunnerService, ownerField: 'runnerId' },
+};
+
+const MAX_PROOF_IMAGES = 5;
+// 핸드오프 PIN 은 매칭 후 배달 완료 전까지 발급할 수 있음
+const HANDOFF_PIN_STATUS = ['MATCHED', 'DELIVERED_REQUEST'];
+
+/**
+ * shopper / runner 에서 orderType 만 다르고 동작이 같은 handler 와 helper
+ * swagger 문서는 경로가 다르므로 각 controller 에 있음
+ * @param {'shopper' | 'runner'} orderType
+ */
+module.exports = orderType => {
+  const { Service, ownerField } = orderTypes[orderType];
+
+  // orderRequestPolicy 로 조회한 request(orderRequest)의 상태를 요청한 유저로 변경 - orderRequestTransition 참고
+  const changeRequestStatus = (req, requestStatus, fields = {}, orderRequest = req.orderRequest) =>
+    changeOrderRequestStatus(req.io, orderType, {
+      orderRequest,
+      requestStatus,
+      fields,
+      actorId: req.decoded.userId,
+    });
+
+  // 요청한 유저가 올린 order - order 를 올린 유저 혹은 admin 이 아니면 AUTH.FORBIDDEN 에러
+  const getOwnOrder = async (req, orderId) => {
+    const order = await Service.getOrderById(orderId);
+    if (!order) throw new Error('ORDER.ORDER_NOT_FOUND');
+    if (order[ownerField] !== req.decoded.userId && req.decoded.role !== 'ADMIN') {
+      throw createError('AUTH.FORBIDDEN', 403);
+    }
+    return order;
+  };
+
+  // request 를 취소(MATCH_FAIL)하고 취소 정보를 저장 - 불이익(수수료 / 경고)을 적용하고 거래 당사자에게 알림
+  // 다른 유저가 먼저 상태를 바꾼 경우 null 을 돌려줌
+  const cancelRequest = async (req, orderRequest, { reasonCode, reason }) => {
+    const policy = await getCancelPolicy(orderRequest, escrow.getEscrow(orderType, orderRequest));
+    const cancellation = {
+      canceledBy: req.decoded.userId,
+      cancelReasonCode: reasonCode,
+      cancelReason: reason || null,
+      cancelPenalty: policy.penalty,
+      cancelFee: policy.cancelFee,
+      canceledAt: new Date(),
+    };
+
+    const isUpdated = await changeRequestStatus(req, 'MATCH_FAIL', cancellation, orderRequest);
+    if (!isUpdated) return null;
+
+    const { requestId } = orderRequest.request;
+    await applyPenalty(policy, { orderType, requestId, reasonCode }).catch(error =>
+      console.error(error),
+    );
+
+    const canceled = Object.assign(
+      { orderType, orderId: orderRequest.order.orderId, requestId },
+      cancellation,
+    );
+    notifyCanceled(req.io, orderRequest, canceled);
+    return canceled;
+  };
+
+  const deleteOrder = [
+    activeSession,
+    async (req, res, next) => {
+      const { orderId } = req.params;
+      try {
+        const order = await getOwnOrder(req, orderId);
+        // 진행 중인 request 가 있으면 /cancel 로 취소해야 함 (request 를 MATCH_FAIL 로 바꾸고 알림)
+        const requests = await Service.getOrderRequestsByOrderId(orderId);
+        if (requests.some(request => ACTIVE_STATUS.indexOf(request.requestStatus) > -1)) {
+          throw createError('ORDER.CANCEL_REQUIRED', 409);
+        }
+
+        // order 는 지우지 않고 deletedAt 을 남김 - 거래 당사자의 목록(이력)에는 계속 보임
+        const isDeleted = order.deletedAt
+          ? false
+          : await Service.softDeleteOrder(orderId, {
+              deletedBy: req.decoded.userId,
+              deletedAt: new Date(),
+            });
+
+        return res.status(200).json({ success: true, data: { isDeleted } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const cancelOrder = [
+    activeSession,
+    ...cancelBody,
+    validationMiddleware,
+    async (req, res, next) => {
+      const { orderId } = req.params;
+      const { reasonCode, reason } = req.body;
+      try {
+        const order = await getOwnOrder(req, orderId);
+        if (order.canceledAt) throw createError('ORDER.ALREADY_CANCELED', 409);
+
+        // request 에는 order 가 포함되어 있음
+        const requests = await Service.getOrderRequestsByOrderId(orderId);
+        const orderRequests = requests
+          .filter(request => ACTIVE_STATUS.indexOf(request.requestStatus) > -1)
+          .map(request => getOrderRequest(orderType, request, req.decoded));
+
+        // 하나라도 취소할 수 없으면 아무것도 바꾸지 않음
+        for (const orderRequest of orderRequests) {
+          await getCancelPolicy(orderRequest, escrow.getEscrow(orderType, orderRequest));
+        }
+
+        const canceledRequests = [];
+        for (const orderRequest of orderRequests) {
+          const canceled = await cancelRequest(req, orderRequest, { reasonCode, reason });
+          if (canceled) canceledRequests.push(canceled);
+        }
+
+        const canceledOrder = await Service.cancelOrder(orderId, {
+          canceledBy: req.decoded.userId,
+          cancelReasonCode: reasonCode,
+          cancelReason: reason || null,
+          canceledAt: new Date(),
+        });
+
+        return res
+          .status(200)
+          .json({ success: true, data: { order: canceledOrder, canceledRequests } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const getOrderRequests = [
+    activeSession,
+    query('offset').isInt().optional().toInt(),
+    query('limit').isInt().optional().toInt(),
+    ...cursorQuery,
+    validationMiddleware,
+    async (req, res, next) => {
+      const { orderId } = req.params;
+      try {
+        const order = await Service.getOrderById(orderId);
+        if (!order) throw new Error('ORDER.ORDER_NOT_FOUND');
+
+        const requests = await findPage(q => Service.getOrderRequests(orderId, q), req.query, {
+          key: 'requests',
+          fields: ['requestId'],
+        });
+        // 배달 증빙 / 분쟁 / 취소 정보는 거래 당사자 혹은 admin 에게만 보여줌
+        requests.requests = requests.requests.map(request =>
+          toVisibleRequest(orderType, request, req.decoded, order),
+        );
+
+        return res.status(200).json({ success: true, data: requests });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const getOrderRequestById = [
+    activeSession,
+    // 배달 증빙 / 취소 정보가 포함되므로 거래 당사자 혹은 admin 만 조회할 수 있음
+    orderRequestPolicy(orderType),
+    async (req, res, next) => {
+      try {
+        return res.status(200).json({ success: true, data: req.orderRequest.request });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const updateOrderRequest = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    body('requestStatus').isIn(REQUEST_STATUS),
+    validationMiddleware,
+    async (req, res, next) => {
+      const { requestStatus } = req.body;
+
+      try {
+        // DELIVERED 는 runner 가 핸드오프 PIN 과 배달 사진을 제출해야 함 (/delivery)
+        if (requestStatus === 'DELIVERED') throw createError('ORDER.HANDOFF_PIN_REQUIRED', 400);
+        // 매칭된 request 의 취소는 취소 사유와 함께 /cancel 로 해야 함
+        if (
+          requestStatus === 'MATCH_FAIL' &&
+          req.orderRequest.request.requestStatus === 'MATCHED'
+        ) {
+          throw createError('ORDER.CANCEL_REASON_REQUIRED', 400);
+        }
+        // 이의 제기는 사유와 함께 /dispute 로 해야 함
+        if (requestStatus === 'DISPUTED') throw createError('ORDER.DISPUTE_REASON_REQUIRED', 400);
+
+        const isUpdated = await changeRequestStatus(req, requestStatus);
+        if (!isUpdated) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+        return res.status(200).json({ success: true, data: {} });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const cancelOrderRequest = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    ...cancelBody,
+    validationMiddleware,
+    async (req, res, next) => {
+      try {
+        const canceled = await cancelRequest(req, req.orderRequest, req.body);
+        if (!canceled) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+        return res.status(200).json({ success: true, data: canceled });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const issueHandoffPin = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    async (req, res, next) => {
+      const { requestId } = req.params;
+      const { request, parties } = req.orderRequest;
+
+      try {
+        if (parties.indexOf(PARTY.SHOPPER) === -1) throw createError('AUTH.FORBIDDEN', 403);
+        if (HANDOFF_PIN_STATUS.indexOf(request.requestStatus) === -1) {
+          throw createError('ORDER.INVALID_REQUEST_STATUS', 409);
+        }
+
+        const handoffPin = await issuePin(orderType, requestId);
+
+        return res.status(200).json({ success: true, data: handoffPin });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const completeDelivery = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    body('pin').isString().isLength({ min: PIN_LENGTH, max: PIN_LENGTH }),
+    body('files').isArray(),
+    validationMiddleware,
+    async (req, res, next) => {
+      const userId = req.decoded.userId;
+      const { requestId } = req.params;
+      const { request, parties } = req.orderRequest;
+
+      try {
+        // PIN 을 확인하기 전에 상태 / 사진을 먼저 확인하여 PIN 이 소모되지 않도록 함
+        assertTransition(request.requestStatus, 'DELIVERED', parties);
+        const files = await toUploadedFiles(req.body.files, MAX_PROOF_IMAGES, {
+          userId,
+          type: 'deliveryProofImages',
+        });
+        if (!files) throw createError('ORDER.INVALID_DELIVERY_PROOF', 400);
+
+        await verifyPin(orderType, requestId, req.body.pin);
+
+        const deliveryProof = { files, runnerId: userId, pinVerifiedAt: new Date() };
+        const isUpdated = await changeRequestStatus(req, 'DELIVERED', { deliveryProof });
+        if (!isUpdated) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+        return res.status(200).json({ success: true, data: { deliveryProof } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const disputeDelivery = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 }),
+    validationMiddleware,
+    async (req, res, next) => {
+      try {
+        const dispute = { disputeReason: req.body.reason, disputedAt: new Date() };
+        const isUpdated = await changeRequestStatus(req, 'DISPUTED', dispute);
+        if (!isUpdated) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+        return res.status(200).json({ success: true, data: dispute });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const resolveDispute = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    body('requestStatus').isIn(['DELIVERED', 'MATCH_FAIL']),
+    body('resolution').isString().trim().isLength({ max: 500 }).optional(),
+    validationMiddleware,
+    async (req, res, next) => {
+      try {
+        const resolution = {
+          disputeResolution: req.body.resolution || null,
+          disputeResolvedBy: req.decoded.userId,
+          disputeResolvedAt: new Date(),
+        };
+        const isUpdated = await changeRequestStatus(req, req.body.requestStatus, resolution);
+        if (!isUpdated) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+        return res.status(200).json({ success: true, data: resolution });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const updateRunnerLocation = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    body('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+    body('lng').isFloat({ min: -180, max: 180 }).toFloat(),
+    body('accuracy').isFloat({ min: 0 }).optional().toFloat(),
+    body('heading').isFloat({ min: 0, max: 360 }).optional().toFloat(),
+    validationMiddleware,
+    async (req, res, next) => {
+      const { lat, lng, accuracy, heading } = req.body;
+      try {
+        const update = await recordLocation(req.io, orderType, req.orderRequest, {
+          lat,
+          lng,
+          accuracy,
+          heading,
+        });
+
+        return res.status(200).json({ success: true, data: update });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const getRunnerLocation = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    async (req, res, next) => {
+      try {
+        assertTrackable(req.orderRequest);
+
+        const latest = await getLatestLocation(orderType, req.orderRequest);
+        const trail = await LocationService.getLocations(orderType, latest.requestId);
+
+        return res.status(200).json({ success: true, data: Object.assign(latest, { trail }) });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const createOrderRequestReview = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    ...reviewBody,
+    validationMiddleware,
+    async (req, res, next) => {
+      const userId = req.decoded.userId;
+      const { requestId } = req.params;
+      const { rating, content, tags } = req.body;
+      const { request } = req.orderRequest;
+
+      try {
+        const revieweeId = getRevieweeId(userId, req.orderRequest);
+        if (REVIEWABLE_STATUS.indexOf(request.requestStatus) === -1) {
+          throw createError('REVIEW.NOT_REVIEWABLE', 409);
+        }
+
+        // (orderType, requestId, reviewerId) 는 unique
+        const prevReview = await ReviewService.getReviewByReviewerId(orderType, requestId, userId);
+        if (prevReview) throw createError('REVIEW.ALREADY_EXISTS', 409);
+
+        const review = await ReviewService.createReview({
+          orderType,
+          requestId,
+          reviewerId: userId,
+          revieweeId,
+          rating,
+          content: content || null,
+          tags: tags || [],
+        });
+
+        // 상대방의 리뷰로 이미 REVIEWED 가 된 경우는 그대로 둠
+        if (request.requestStatus !== 'REVIEWED') await changeRequestStatus(req, 'REVIEWED');
+
+        return res.status(200).json({ success: true, data: { review } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const getOrderRequestHistories = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    async (req, res, next) => {
+      const { requestId } = req.params;
+      try {
+        const histories = await OrderRequestHistoryService.getHistories(orderType, requestId);
+
+        return res.status(200).json({ success: true, data: { histories } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  const deleteOrderRequest = [
+    activeSession,
+    orderRequestPolicy(orderType),
+    async (req, res, next) => {
+      const { requestId } = req.params;
+      try {
+        // 응답을 기다리는(REQUESTING) request 만 삭제할 수 있음
+        // 매칭된 request 는 /cancel 로 취소해야 하고, 끝난 request 는 취소 / 배달 / 정산 기록이므로 남겨둠
+        const { requestStatus } = req.orderRequest.request;
+        if (['MATCHED', 'DELIVERED_REQUEST', 'DISPUTED'].indexOf(requestStatus) > -1) {
+          throw createError('ORDER.CANCEL_REQUIRED', 409);
+        }
+        if (requestStatus !== 'REQUESTING') throw createError('ORDER.INVALID_REQUEST_STATUS', 409);
+
+        const isDeleted = await Service.deleteOrderRequest({ requestId });
+
+        return res.status(200).json({ success: true, data: { isDeleted } });
+      } catch (error) {
+        console.error(error);
+        next(error);
+      }
+    },
+  ];
+
+  return {
+    getOwnOrder,
+    deleteOrder,
+    cancelOrder,
+    getOrderRequests,
+    getOrderRequestById,
+    updateOrderRequest,
+    cancelOrderRequest,
+    issueHandoffPin,
+    completeDelivery,
+    disputeDelivery,
+    resolveDispute,
+    updateRunnerLocation,
+    getRunnerLocation,
+    createOrderRequestReview,
+    getOrderRequestHistories,
+    deleteOrderRequest,
+  };
+};
@@ -0,0 +1,184 @@
+const LedgerService = require('../services/ledger.service');
+const { validationMiddleware } = require('../middlewares');
+const activeSession = require('../middlewares/activeSession');
+const { query } = require('express-validator');
+const { cursorQuery, findPage } = require('../utils/cursor');
+const { ACCOUNT, TRANSACTION_TYPE } = require('../utils/escrow');
+
+const TRANSACTION_CURSOR_FIELDS = ['transactionId'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentTransactions:
+ *       type: object
+ *       description: |
+ *         order request 의 결제 거래
+ *         - HOLD: 매칭될 때 shopper 의 결제를 승인하여 보관 (물품 예상 가격 + 러너 팁)
+ *         - RELEASE: 배달 완료 시 보관한 금액을 runner 에게 지급
+ *         - REFUND: 매칭 취소 시 보관한 금액을 shopper 에게 돌려줌
+ *       properties:
+ *         transactionId:
+ *           type: integer
+ *           example: 1
+ *         type:
+ *           type: string
+ *           enum: [HOLD, RELEASE, REFUND]
+ *         orderType:
+ *           type: string
+ *           enum: [shopper, runner]
+ *         requestId:
+ *           type: integer
+ *           example: 1
+ *         payerId:
+ *           type: integer
+ *           description: 결제한 shopper
+ *           example: 1
+ *         payeeId:
+ *           type: integer
+ *           description: 지급받는 runner
+ *           example: 2
+ *         amount:
+ *           type: integer
+ *           example: 16500
+ *         entries:
+ *           type: array
+ *           description: 계정별 금액 변화 (합은 0) - external, escrow:{orderType}:{requestId}, user:{userId}
+ *           items:
+ *             type: object
+ *             properties:
+ *               account:
+ *                 type: string
+ *                 example: user:2
+ *               amount:
+ *                 type: integer
+ *                 example: 16500
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /payment/balance:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['payment']
+ *       description: 로그인 유저의 잔액 - available 은 runner 로 지급받은 금액, held 는 shopper 로 결제하여 배달 완료 / 취소 전까지 보관 중인 금액
+ *       summary: 잔액 조회
+ *       operationId: getBalance
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       available:
+ *                         type: integer
+ *                         example: 16500
+ *                       held:
+ *                         type: integer
+ *                         example: 8000
+ */
+exports.getBalance = [
+  activeSession,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      const available = await LedgerService.getBalance(ACCOUNT.user(userId));
+      // 지급 / 환불되지 않은 HOLD 거래의 합
+      const held = await LedgerService.getHeldAmount(userId);
+
+      res.status(200).json({ success: true, data: { available, held } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /payment/transactions:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['payment']
+ *       description: 로그인 유저가 결제했거나(payer) 지급받은(payee) 거래 목록 (최신순)
+ *       summary: 거래 내역 조회
+ *       operationId: getTransactions
+ *       parameters:
+ *       - name: type
+ *         in: query
+ *         type: string
+ *         enum: [HOLD, RELEASE, REFUND]
+ *       - name: offset
+ *         in: query
+ *         type: integer
+ *         default: 0
+ *       - name: limit
+ *         in: query
+ *         type: integer
+ *         default: 20
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       transactions:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/PaymentTransactions'
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
+ */
+exports.getTransactions = [
+  activeSession,
+  query('type').isIn(Object.values(TRANSACTION_TYPE)).optional(),
+  query('offset').isInt({ min: 0 }).optional().toInt(),
+  query('limit').isInt({ min: 1, max: 50 }).optional().toInt(),
+  ...cursorQuery,
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      const transactions = await findPage(
+        q => LedgerService.getTransactionsByUserId(q),
+        Object.assign({}, req.query, { userId }),
+        { key: 'transactions', fields: TRANSACTION_CURSOR_FIELDS },
+      );
+
+      res.status(200).json({ success: true, data: transactions });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
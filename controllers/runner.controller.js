@@ -1,6 +1,80 @@
 const RunnerService = require('../services/runner.service');
 const { validationMiddleware } = require('../middlewares');
-const { query } = require('express-validator');
+const activeSession = require('../middlewares/activeSession');
+const idempotency = require('../middlewares/idempotency');
+const emailVerified = require('../middlewares/emailVerified');
+const { toVisibleRequest } = require('../middlewares/orderRequestPolicy');
+const orderHandlers = require('./orderHandlers')('runner');
+const { body, query } = require('express-validator');
+const { REQUEST_STATUS } = require('../utils/orderRequestStatus');
+const createError = require('../utils/createError');
+const { getOpenOrderOwnerId } = require('../utils/orderOwner');
+const { getBlockedUserIds, assertNotBlocked } = require('../utils/block');
+const { assertRunnerAvailable, filterAvailableRunnerIds } = require('../utils/availability');
+const escrow = require('../utils/escrow');
+const { getExpiresAt } = require('../utils/orderWindow');
+const { suggestShopperOrders, offerOrder } = require('../utils/matching');
+const {
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  hasLocation,
+  parseDistance,
+  getBoundingBox,
+  compareByDistance,
+  sortByDistance,
+} = require('../utils/geo');
+const { TIME_PATTERN, isSort, parseSort, isInclude, parseInclude } = require('../utils/listQuery');
+const {
+  cursorQuery,
+  getCursorFields,
+  getCursor,
+  paginate,
+  findPage,
+  sliceByCursor,
+} = require('../utils/cursor');
+
+const ORDER_SORT_FIELDS = ['createdAt', 'startContactableTime', 'endContactableTime'];
+const ORDER_INCLUDES = ['requests', 'shopper', 'runner', 'items', 'images'];
+const REQUEST_SORT_FIELDS = ['createdAt', 'updatedAt', 'requestStatus'];
+const DEFAULT_SORT = [['createdAt', 'DESC']];
+const NEARBY_CURSOR_FIELDS = ['distanceFromCenter', 'orderId'];
+
+// 기준 좌표가 runner order의 활동 반경 안에 있는 order 를 가까운 순으로 조회
+// radius 가 없으면 runner order 마다 등록된 distance 를 사용
+const getOrdersNearBy = async query => {
+  const { lat, lng, radius, offset = 0, limit = 20 } = query;
+  const getRadius = order => radius || parseDistance(order.distance) || DEFAULT_RADIUS;
+
+  const center = { lat, lng };
+  const candidates = await RunnerService.getOrdersInBoundingBox(
+    query,
+    getBoundingBox(center, radius || MAX_RADIUS),
+  );
+  const orders = sortByDistance(candidates, center, getRadius);
+
+  const cursor = getCursor(query, NEARBY_CURSOR_FIELDS);
+  const rows = cursor ? sliceByCursor(orders, cursor, compareByDistance) : orders.slice(offset);
+  const page = paginate(rows, limit, NEARBY_CURSOR_FIELDS);
+
+  return { totalCount: orders.length, orders: page.items, nextCursor: page.nextCursor };
+};
+
+// sort 순서대로 order 를 조회, cursor 에는 정렬 필드와 orderId 를 담음
+const getOrderPage = query => {
+  const sort = query.sort || DEFAULT_SORT;
+  return findPage(q => RunnerService.getOrders(q), Object.assign({}, query, { sort }), {
+    key: 'orders',
+    fields: getCursorFields(sort, 'orderId'),
+  });
+};
+
+const getRequestPage = query => {
+  const sort = query.sort || DEFAULT_SORT;
+  return findPage(q => RunnerService.getRequests(q), Object.assign({}, query, { sort }), {
+    key: 'orderRequests',
+    fields: getCursorFields(sort, 'requestId'),
+  });
+};
 
 /**
  * @swagger
@@ -10,7 +84,7 @@ const { query } = require('express-validator');
  *       security:
  *         - JWT: []
  *       tags: ['runner']
- *       description: runner가 올린 orders 리스트 조회 / runnerId 를 이용하여 선택적으로 리스트를 가져올 수 있다.
+ *       description: runner가 올린 orders 리스트 조회 / runnerId 를 이용하여 선택적으로 리스트를 가져올 수 있다. 차단 관계인 유저의 order 는 제외되고, 취소 / 만료된 order 는 자신의 order 를 조회할 때만 포함된다. 다른 유저의 order 는 근무 중이고 지금 활동 시간인 runner 의 order 만 포함된다.
  *       summary: runner가 올린 orders 리스트 조회 / runnerId 를 이용하여 선택적으로 리스트를 가져올 수 있다.
  *       operationId: runner-orders
  *       parameters:
@@ -29,6 +103,66 @@ const { query } = require('express-validator');
  *         description: 조회할 리스트의 최대 개수
  *         type: integer
  *         default: 20
+ *       - name: lat
+ *         in: query
+ *         description: 거리순 조회의 기준 위도 - lng 와 함께 보내면 sort 대신 가까운 순으로 정렬되고 order 마다 distance(m)가 포함됨
+ *         type: number
+ *         example: 37.5665
+ *       - name: lng
+ *         in: query
+ *         description: 거리순 조회의 기준 경도
+ *         type: number
+ *         example: 126.978
+ *       - name: radius
+ *         in: query
+ *         description: 조회할 반경 (m) - 없으면 runner order 마다 등록된 distance
+ *         type: integer
+ *         example: 1000
+ *       - name: payments
+ *         in: query
+ *         description: 결제 수단
+ *         type: string
+ *         example: 신용카드
+ *       - name: contactableTimeFrom
+ *         in: query
+ *         description: 연락 가능한 시간이 이 시간 이후와 겹치는 order만 조회
+ *         type: string
+ *         example: '15:00'
+ *       - name: contactableTimeTo
+ *         in: query
+ *         description: 연락 가능한 시간이 이 시간 이전과 겹치는 order만 조회
+ *         type: string
+ *         example: '18:00'
+ *       - name: createdFrom
+ *         in: query
+ *         description: 이 시간 이후에 생성된 것만 조회
+ *         type: string
+ *         format: date-time
+ *         example: '2020-06-01T00:00:00.000Z'
+ *       - name: createdTo
+ *         in: query
+ *         description: 이 시간 이전에 생성된 것만 조회
+ *         type: string
+ *         format: date-time
+ *         example: '2020-06-30T23:59:59.999Z'
+ *       - name: sort
+ *         in: query
+ *         description: 정렬 기준 - 쉼표로 여러 필드 지정, '-' 를 붙이면 내림차순 (createdAt, startContactableTime, endContactableTime)
+ *         type: string
+ *         example: -createdAt
+ *       - name: include
+ *         in: query
+ *         description: 함께 조회할 관계 - 쉼표로 여러 개 지정 (requests, shopper, runner, items, images)
+ *         type: string
+ *         example: requests,items
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           description: order list by runnerId
@@ -42,25 +176,55 @@ const { query } = require('express-validator');
  *                   data:
  *                     type: object
  *                     properties:
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  *                       orders:
  *                         type: array
  *                         items:
  *                           $ref: '#/components/schemas/RunnerOrders'
+ *                           properties:
+ *                             distanceFromCenter:
+ *                               type: integer
+ *                               description: lat, lng 로 조회한 경우 기준 좌표로부터의 거리 (m)
  *                       totalCount:
  *                         type: integer
  *                         example: 1
  */
-// query 추가하여 query에 따라 request들도 포함하는 기능 및 필터 기능 필요
 exports.getOrders = [
+  activeSession,
   query('offset').isInt().optional().toInt(),
   query('limit').isInt().optional().toInt(),
   query('runnerId').isString().optional(),
+  query('payments').isString().optional(),
+  query('contactableTimeFrom').matches(TIME_PATTERN).optional(),
+  query('contactableTimeTo').matches(TIME_PATTERN).optional(),
+  query('createdFrom').isISO8601().optional().toDate(),
+  query('createdTo').isISO8601().optional().toDate(),
+  query('sort').optional().custom(isSort(ORDER_SORT_FIELDS)).customSanitizer(parseSort),
+  query('include').optional().custom(isInclude(ORDER_INCLUDES)).customSanitizer(parseInclude),
+  query('lat').isFloat({ min: -90, max: 90 }).optional().toFloat(),
+  query('lng').isFloat({ min: -180, max: 180 }).optional().toFloat(),
+  query('radius').isInt({ min: 1, max: MAX_RADIUS }).optional().toInt(),
+  ...cursorQuery,
   validationMiddleware,
   async (req, res, next) => {
     if (req.query.runnerId === 'me') req.query.runnerId = req.decoded.userId;
+    // 취소 / 만료 / 삭제된 order 는 자신의 목록에서만 보임
+    req.query.includeCanceled = +req.query.runnerId === req.decoded.userId;
+    req.query.includeExpired = req.query.includeCanceled;
+    req.query.includeDeleted = req.query.includeCanceled;
+    // 다른 유저의 목록에는 근무 중(onDuty)이고 지금 활동 시간인 runner 의 order 만 보임
+    if (!req.query.includeCanceled) req.query.availableAt = new Date();
 
     try {
-      const orders = await RunnerService.getOrders(req.query);
+      // 차단 관계인 유저의 order 는 목록에서 제외
+      req.query.excludeUserIds = await getBlockedUserIds(req.decoded.userId);
+
+      const orders = hasLocation(req.query)
+        ? await getOrdersNearBy(req.query)
+        : await getOrderPage(req.query);
 
       return res.status(200).json({ success: true, data: orders });
     } catch (error) {
@@ -78,7 +242,7 @@ exports.getOrders = [
  *       security:
  *         - JWT: []
  *       tags: ['runner']
- *       description: shopper가 올린 order에 요청한 리스트 조회
+ *       description: shopper가 올린 order에 요청한 리스트 조회. 배달 증빙 / 분쟁 / 취소 정보는 거래 당사자 혹은 admin 에게만 포함된다.
  *       summary: shopper가 올린 order에 요청한 리스트 조회
  *       operationId: runner-requests
  *       parameters:
@@ -91,7 +255,7 @@ exports.getOrders = [
  *         in: query
  *         description: 조회할 요청의 상태
  *         type: string
- *         enum: [REQUESTING, MATCHED, MATCH_FAIL, DELIVERED_REQUEST, DELIVERED, REVIEW_REQUEST, REVIEWED]
+ *         enum: [REQUESTING, MATCHED, MATCH_FAIL, DELIVERED_REQUEST, DISPUTED, DELIVERED, REVIEW_REQUEST, REVIEWED]
  *         example: REQUESTING
  *       - name: offset
  *         in: query
@@ -103,6 +267,31 @@ exports.getOrders = [
  *         description: 조회할 리스트의 최대 개수
  *         type: integer
  *         default: 20
+ *       - name: createdFrom
+ *         in: query
+ *         description: 이 시간 이후에 생성된 것만 조회
+ *         type: string
+ *         format: date-time
+ *         example: '2020-06-01T00:00:00.000Z'
+ *       - name: createdTo
+ *         in: query
+ *         description: 이 시간 이전에 생성된 것만 조회
+ *         type: string
+ *         format: date-time
+ *         example: '2020-06-30T23:59:59.999Z'
+ *       - name: sort
+ *         in: query
+ *         description: 정렬 기준 - 쉼표로 여러 필드 지정, '-' 를 붙이면 내림차순 (createdAt, updatedAt, requestStatus)
+ *         type: string
+ *         example: -updatedAt
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           description: order list by runnerId
@@ -116,6 +305,10 @@ exports.getOrders = [
  *                   data:
  *                     type: object
  *                     properties:
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  *                       orderRequests:
  *                         type: array
  *                         items:
@@ -132,18 +325,29 @@ exports.getOrders = [
  *                         type: integer
  *                         example: 1
  */
-// query 추가하여 query에 따라 request들도 포함하는 기능 및 필터 기능 필요
 exports.getRequests = [
+  activeSession,
   query('offset').isInt().optional().toInt(),
   query('limit').isInt().optional().toInt(),
   query('runnerId').isString().optional(),
-  query('requestStatus').isString().optional(),
+  query('requestStatus').isIn(REQUEST_STATUS).optional(),
+  query('createdFrom').isISO8601().optional().toDate(),
+  query('createdTo').isISO8601().optional().toDate(),
+  query('sort').optional().custom(isSort(REQUEST_SORT_FIELDS)).customSanitizer(parseSort),
+  ...cursorQuery,
   validationMiddleware,
   async (req, res, next) => {
     if (req.query.runnerId === 'me') req.query.runnerId = req.decoded.userId;
+    // 요청을 보낸 order 가 취소 / 삭제되어도 요청한 유저의 목록에는 남음
+    req.query.includeCanceled = +req.query.runnerId === req.decoded.userId;
+    req.query.includeDeleted = req.query.includeCanceled;
 
     try {
-      const orders = await RunnerService.getRequests(req.query);
+      const orders = await getRequestPage(req.query);
+      // 배달 증빙 / 분쟁 / 취소 정보는 거래 당사자 혹은 admin 에게만 보여줌
+      orders.orderRequests = orders.orderRequests.map(request =>
+        toVisibleRequest('shopper', request, req.decoded),
+      );
 
       return res.status(200).json({ success: true, data: orders });
     } catch (error) {
@@ -201,17 +405,20 @@ exports.getRequests = [
  *                                 shopperOrderImages:
  *                                   $ref: '#/components/schemas/ShopperOrderImages'
  */
-exports.getOrderById = async (req, res, next) => {
-  const { orderId } = req.params;
-  try {
-    const order = await RunnerService.getOrderById(orderId);
-
-    return res.status(200).json({ success: true, data: order });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.getOrderById = [
+  activeSession,
+  async (req, res, next) => {
+    const { orderId } = req.params;
+    try {
+      const order = await RunnerService.getOrderById(orderId);
+
+      return res.status(200).json({ success: true, data: order });
+    } catch (error) {
+      console.error(error);
+      next(error);
+    }
+  },
+];
 
 /**
  * @swagger
@@ -224,6 +431,12 @@ exports.getOrderById = async (req, res, next) => {
  *       description: 자신의 orders 생성
  *       summary: 자신의 orders 생성
  *       operationId: create-runner-orders-Id
+ *       parameters:
+ *       - name: Idempotency-Key
+ *         in: header
+ *         description: 같은 key로 다시 요청하면 새로 생성하지 않고 처음 응답을 그대로 돌려줌
+ *         type: string
+ *         example: 6f1c2a8e-3b0d-4c55-9a51-2d1f0e7b9c43
  *       requestBody:
  *         content:
  *           application/json:
@@ -256,6 +469,14 @@ exports.getOrderById = async (req, res, next) => {
  *                   type: string
  *                   description: 활동지역 주소
  *                   example: My home
+ *                 lat:
+ *                   type: number
+ *                   example: 37.5665
+ *                   description: 활동지역의 위도
+ *                 lng:
+ *                   type: number
+ *                   example: 126.978
+ *                   description: 활동지역의 경도
  *                 startContactableTime:
  *                   type: string
  *                   format: time
@@ -273,6 +494,10 @@ exports.getOrderById = async (req, res, next) => {
  *                   type: string
  *                   description: 신용카드, 통장 등 정보 저장
  *                   example: 신용카드
+ *                 autoOffer:
+ *                   type: boolean
+ *                   default: false
+ *                   description: true 면 생성 후 점수가 높은 상대방 3명에게 'orderOffered' socket 이벤트로 알림 (lat, lng 필요, 근무 중이 아니거나 활동 시간이 아니면 알리지 않음)
  *       responses:
  *         200:
  *           content:
@@ -287,19 +512,41 @@ exports.getOrderById = async (req, res, next) => {
  *                     properties:
  *                       order:
  *                         $ref: '#/components/schemas/RunnerOrders'
+ *         403:
+ *           description: AUTH.EMAIL_NOT_VERIFIED - 이메일 인증을 하지 않은 유저
  */
-exports.createOrder = async (req, res, next) => {
-  const runnerId = req.decoded.userId;
-  const order = Object.assign({ runnerId }, req.body, req.params);
-  try {
-    const newOrder = await RunnerService.createOrder(order);
-
-    return res.status(200).json({ success: true, data: newOrder });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.createOrder = [
+  activeSession,
+  emailVerified,
+  body('lat').isFloat({ min: -90, max: 90 }).optional().toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).optional().toFloat(),
+  body('startContactableTime').matches(TIME_PATTERN).optional(),
+  body('endContactableTime').matches(TIME_PATTERN).optional(),
+  body('autoOffer').isBoolean().optional().toBoolean(),
+  validationMiddleware,
+  idempotency,
+  async (req, res, next) => {
+    const runnerId = req.decoded.userId;
+    try {
+      // endContactableTime 가 지나면 백그라운드 작업(jobs expireOrders)으로 만료됨
+      const expiresAt = getExpiresAt(req.body.endContactableTime);
+      const order = Object.assign({ runnerId }, req.body, req.params, { expiresAt });
+      const newOrder = await RunnerService.createOrder(order);
+
+      // 자동 제안 - 점수가 높은 shopper 에게 알림, 실패해도 order 는 생성됨
+      // 근무 중이 아니거나 활동 시간이 아니면 제안하지 않음
+      if (order.autoOffer && (await filterAvailableRunnerIds([runnerId])).length > 0) {
+        const blockedUserIds = await getBlockedUserIds(runnerId);
+        offerOrder(req.io, 'runner', newOrder, blockedUserIds).catch(error => console.error(error));
+      }
+
+      return res.status(200).json({ success: true, data: newOrder });
+    } catch (error) {
+      console.error(error);
+      next(error);
+    }
+  },
+];
 
 /**
  * @swagger
@@ -333,19 +580,155 @@ exports.createOrder = async (req, res, next) => {
  *                     properties:
  *                       isDeleted:
  *                         type: boolean
+ *         403:
+ *           description: AUTH.FORBIDDEN - order 를 올린 유저 혹은 admin 이 아닌 경우
+ *         409:
+ *           description: ORDER.CANCEL_REQUIRED - 진행 중인 request 가 있는 경우 (/cancel 로 취소해야 함)
  */
-exports.deleteOrder = async (req, res, next) => {
-  const runnerId = req.decoded.userId;
-  const { orderId } = req.params;
-  try {
-    const isDeleted = await RunnerService.deleteOrder(runnerId, orderId);
-
-    return res.status(200).json({ success: true, data: { isDeleted } });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.deleteOrder = orderHandlers.deleteOrder;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/{orderId}/cancel:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         order 를 취소함 - order 를 올린 유저 혹은 admin 만 취소할 수 있다.
+ *         진행 중인 request 는 모두 MATCH_FAIL 이 되고 거래 당사자에게 'orderRequestCanceled' socket 이벤트로 알린다.
+ *         취소된 order 는 삭제되지 않고 canceledAt 등 취소 정보와 함께 양쪽의 목록(자신의 order / 요청 목록)에 남는다.
+ *         - REQUESTING: 불이익 없이 취소
+ *         - MATCHED: 매칭 후 5분 안에는 불이익 없음, 이후 shopper 가 취소하면 러너 팁의 50% 가 취소 수수료로 runner 에게 지급되고 runner 가 취소하면 경고(strike)가 쌓임
+ *         - DELIVERED_REQUEST 인 request 가 있으면 취소할 수 없음
+ *       summary: order 취소
+ *       operationId: cancel-runner-orders-Id
+ *       parameters:
+ *       - name: orderId
+ *         in: path
+ *         description: orderId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancelReasons'
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       order:
+ *                         $ref: '#/components/schemas/RunnerOrders'
+ *                       canceledRequests:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderRequestCancellations'
+ *         403:
+ *           description: AUTH.FORBIDDEN - order 를 올린 유저 혹은 admin 이 아닌 경우
+ *         409:
+ *           description: ORDER.ALREADY_CANCELED - 이미 취소된 경우 / ORDER.CANCEL_NOT_ALLOWED - DELIVERED_REQUEST 인 request 가 있는 경우
+ */
+exports.cancelOrder = orderHandlers.cancelOrder;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/{orderId}/suggested-orders:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         runner order 의 활동 반경(distance) 안에서 어울리는 shopper order 를 점수가 높은 순으로 조회 - order 를 올린 유저 혹은 admin 만 조회할 수 있다.
+ *         받을 수 있는 시간과 연락 가능한 시간이 겹치는 shopper order 만 포함된다.
+ *         점수(0 ~ 100)는 거리 35%, 겹치는 시간 25%, 러너 팁 15%, priority 10%, runner 평점 15% 로 계산된다.
+ *         차단 관계인 유저의 order 는 제외된다.
+ *       summary: runner order 에 어울리는 shopper order 추천
+ *       operationId: runner-orders-Id-suggested-orders
+ *       parameters:
+ *       - name: orderId
+ *         in: path
+ *         description: orderId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       - name: limit
+ *         in: query
+ *         description: 조회할 최대 개수
+ *         type: integer
+ *         default: 20
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       suggestions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             order:
+ *                               $ref: '#/components/schemas/ShopperOrders'
+ *                             score:
+ *                               type: integer
+ *                               example: 82
+ *                             distance:
+ *                               type: integer
+ *                               description: 두 order 좌표 사이의 거리 (m)
+ *                             overlapMinutes:
+ *                               type: integer
+ *                               description: 받을 수 있는 시간과 연락 가능한 시간이 겹치는 시간 (분)
+ *                             scores:
+ *                               type: object
+ *                               description: 항목별 점수 (0 ~ 1) - distance, time, tip, priority, rating
+ *         400:
+ *           description: ORDER.INVALID_LOCATION - order 에 좌표(lat, lng)가 없는 경우
+ *         403:
+ *           description: AUTH.FORBIDDEN - order 를 올린 유저 혹은 admin 이 아닌 경우
+ */
+exports.getSuggestedOrders = [
+  activeSession,
+  query('limit').isInt({ min: 1, max: 50 }).optional().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const { orderId } = req.params;
+    try {
+      const order = await orderHandlers.getOwnOrder(req, orderId);
+      if (order.lat === null || order.lng === null)
+        throw createError('ORDER.INVALID_LOCATION', 400);
+
+      const excludeUserIds = await getBlockedUserIds(order.runnerId);
+      const suggestions = await suggestShopperOrders(order, {
+        excludeUserIds,
+        limit: req.query.limit,
+      });
+
+      return res.status(200).json({ success: true, data: { suggestions } });
+    } catch (error) {
+      console.error(error);
+      next(error);
+    }
+  },
+];
 
 /**
  * @swagger
@@ -365,6 +748,11 @@ exports.deleteOrder = async (req, res, next) => {
  *         required: true
  *         type: integer
  *         example: 1
+ *       - name: Idempotency-Key
+ *         in: header
+ *         description: 같은 key로 다시 요청하면 새로 생성하지 않고 처음 응답을 그대로 돌려줌
+ *         type: string
+ *         example: 6f1c2a8e-3b0d-4c55-9a51-2d1f0e7b9c43
  *       requestBody:
  *         content:
  *           application/json:
@@ -400,15 +788,25 @@ exports.deleteOrder = async (req, res, next) => {
  *                   type: string
  *                   example: somewhere
  *                   description: 전달할 주소
+ *                 lat:
+ *                   type: number
+ *                   example: 37.5665
+ *                   description: 전달할 주소의 위도 - runner 위치 공유 시 ETA 계산에 사용
+ *                 lng:
+ *                   type: number
+ *                   example: 126.978
+ *                   description: 전달할 주소의 경도
  *                 additionalMessage:
  *                   type: string
  *                   example: nothing
  *                 estimatedPrice:
  *                   type: integer
+ *                   minimum: 0
  *                   example: 15000
  *                   description: 물품들의 예상 총 가격
  *                 runnerTip:
  *                   type: integer
+ *                   minimum: 0
  *                   example: 1500
  *                   description: 러너 팁
  *                 orderItems:
@@ -454,21 +852,46 @@ exports.deleteOrder = async (req, res, next) => {
  *                       request:
  *                         $ref: '#/components/schemas/RunnerOrders'
  *                         properties:
- *
+ *         403:
+ *           description: USER.BLOCKED - order를 올린 유저와 차단 관계인 경우
+ *         409:
+ *           description: |
+ *             ORDER.REQUEST_ALREADY_EXISTS - 이미 같은 order에 요청을 보낸 경우
+ *             ORDER.ORDER_CLOSED - 취소 / 삭제 / 만료된 order 인 경우
+ *             RUNNER.OFF_DUTY - runner 가 근무 중이 아닌 경우
+ *             RUNNER.OUTSIDE_AVAILABILITY - runner 의 활동 시간이 아닌 경우
  */
-// TODO: 같은 주문 요청이 2개 이상 들어올 경우 예외처리 필요
-exports.createOrderRequest = async (req, res, next) => {
-  const shopperId = req.decoded.userId;
-  const shopperOrder = Object.assign({ shopperId }, req.body, req.params);
-  try {
-    const request = await RunnerService.createOrderRequest(shopperOrder);
-
-    return res.status(200).json({ success: true, data: request });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.createOrderRequest = [
+  activeSession,
+  body('lat').isFloat({ min: -90, max: 90 }).optional().toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).optional().toFloat(),
+  ...escrow.amountBody,
+  validationMiddleware,
+  idempotency,
+  async (req, res, next) => {
+    const shopperId = req.decoded.userId;
+    const shopperOrder = Object.assign({ shopperId }, req.body, req.params);
+    try {
+      const runnerId = await getOpenOrderOwnerId('runner', shopperOrder.orderId);
+      await assertNotBlocked(shopperId, [runnerId]);
+      await assertRunnerAvailable(runnerId);
+
+      // (orderId, shopperId) 는 unique - 동시에 들어온 요청은 service에서 같은 에러로 처리됨
+      const prevRequest = await RunnerService.getOrderRequestByShopperId(
+        shopperOrder.orderId,
+        shopperId,
+      );
+      if (prevRequest) throw createError('ORDER.REQUEST_ALREADY_EXISTS', 409);
+
+      const request = await RunnerService.createOrderRequest(shopperOrder);
+
+      return res.status(200).json({ success: true, data: request });
+    } catch (error) {
+      console.error(error);
+      next(error);
+    }
+  },
+];
 
 /**
  * @swagger
@@ -478,7 +901,7 @@ exports.createOrderRequest = async (req, res, next) => {
  *       security:
  *         - JWT: []
  *       tags: ['runner']
- *       description: order에 shopper가 요청한 리스트 조회
+ *       description: order에 shopper가 요청한 리스트 조회. 배달 증빙 / 분쟁 / 취소 정보는 거래 당사자 혹은 admin 에게만 포함된다.
  *       summary: order에 shopper가 요청한 리스트 조회
  *       operationId: get-runner-orders-Id-requests
  *       parameters:
@@ -498,6 +921,14 @@ exports.createOrderRequest = async (req, res, next) => {
  *         description: 조회할 리스트의 최대 개수
  *         type: integer
  *         default: 20
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
  *       responses:
  *         200:
  *           content:
@@ -510,6 +941,10 @@ exports.createOrderRequest = async (req, res, next) => {
  *                   data:
  *                     type: object
  *                     properties:
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
  *                       requests:
  *                         type: array
  *                         items:
@@ -525,22 +960,7 @@ exports.createOrderRequest = async (req, res, next) => {
  *                                 shopperOrderImages:
  *                                   $ref: '#/components/schemas/ShopperOrderImages'
  */
-exports.getOrderRequests = [
-  query('offset').isInt().optional().toInt(),
-  query('limit').isInt().optional().toInt(),
-  validationMiddleware,
-  async (req, res, next) => {
-    const { orderId } = req.params;
-    try {
-      const requests = await RunnerService.getOrderRequests(orderId, req.query);
-
-      return res.status(200).json({ success: true, data: requests });
-    } catch (error) {
-      console.error(error);
-      next(error);
-    }
-  },
-];
+exports.getOrderRequests = orderHandlers.getOrderRequests;
 
 /**
  * @swagger
@@ -584,18 +1004,10 @@ exports.getOrderRequests = [
  *                                 $ref: '#/components/schemas/ShopperOrderItems'
  *                               shopperOrderImages:
  *                                 $ref: '#/components/schemas/ShopperOrderImages'
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper / runner 혹은 admin 만 접근 가능
  */
-exports.getOrderRequestById = async (req, res, next) => {
-  const { requestId } = req.params;
-  try {
-    const request = await RunnerService.getOrderRequestById(requestId);
-
-    return res.status(200).json({ success: true, data: request });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.getOrderRequestById = orderHandlers.getOrderRequestById;
 
 /**
  * @swagger
@@ -605,7 +1017,7 @@ exports.getOrderRequestById = async (req, res, next) => {
  *       security:
  *         - JWT: []
  *       tags: ['runner']
- *       description: request의 현재 상태를 변경함
+ *       description: request의 현재 상태를 변경함 - 현재 상태와 요청한 유저(shopper / runner)에 따라 허용된 상태로만 변경할 수 있다. 변경된 상태는 shopper / runner 채팅방에 SYSTEM 메세지로 남는다 (매칭되면 채팅방 자동 생성). DELIVERED 는 runner 가 /delivery 로 핸드오프 PIN 을 제출해야 한다 (DELIVERED_REQUEST 후 24시간이 지나면 자동 확정, shopper 는 /dispute 로 이의를 제기할 수 있음). order 의 시간대가 지나면 order 는 만료되고 REQUESTING 인 request 는 MATCH_FAIL 이 된다. MATCHED 가 되면 shopper 의 결제(물품 예상 가격 + 러너 팁)가 보관되고 DELIVERED 가 되면 runner 에게 지급, MATCH_FAIL 이 되면 환불된다.
  *       summary: request의 현재 상태를 변경함
  *       operationId: update-runner-order-requests-Id
  *       parameters:
@@ -622,13 +1034,19 @@ exports.getOrderRequestById = async (req, res, next) => {
  *             required: true
  *             schema:
  *               type: object
+ *               required:
+ *                 - requestStatus
  *               properties:
  *                 requestStatus:
  *                   type: string
  *                   enum:
+ *                     - REQUESTING
  *                     - MATCHED
  *                     - MATCH_FAIL
+ *                     - DELIVERED_REQUEST
+ *                     - DISPUTED
  *                     - DELIVERED
+ *                     - REVIEW_REQUEST
  *                     - REVIEWED
  *                   example: MATCHED
  *       responses:
@@ -642,18 +1060,506 @@ exports.getOrderRequestById = async (req, res, next) => {
  *                     type: boolean
  *                   data:
  *                     type: object
+ *         402:
+ *           description: PAYMENT.AUTHORIZATION_FAILED - MATCHED 로 변경할 때 shopper 의 결제 승인이 실패한 경우
+ *         400:
+ *           description: |
+ *             ORDER.CANCEL_REASON_REQUIRED - 매칭된 request 를 MATCH_FAIL 로 바꾸는 경우 (/cancel 로 취소해야 함)
+ *             ORDER.DISPUTE_REASON_REQUIRED - DISPUTED 로 바꾸는 경우 (/dispute 로 이의를 제기해야 함)
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper / runner 혹은 admin 만 접근 가능
+ *         409:
+ *           description: ORDER.ORDER_CLOSED - 취소 / 삭제 / 만료된 order 의 request 를 MATCHED 로 바꾸는 경우
  */
-exports.updateOrderRequest = async (req, res, next) => {
-  const request = Object.assign(req.body, req.params);
-  try {
-    await RunnerService.updateOrderRequest(request);
-
-    return res.status(200).json({ success: true, data: {} });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.updateOrderRequest = orderHandlers.updateOrderRequest;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/cancel:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         request 를 취소함(MATCH_FAIL) - 거래 당사자(shopper / runner) 혹은 admin 만 취소할 수 있다.
+ *         취소 정보는 request 에 저장되고 거래 당사자에게 'orderRequestCanceled' socket 이벤트로 알린다.
+ *         - REQUESTING: 불이익 없이 취소
+ *         - MATCHED: 매칭 후 5분 안에는 불이익 없음, 이후 shopper 가 취소하면 러너 팁의 50% 가 취소 수수료로 runner 에게 지급되고 runner 가 취소하면 경고(strike)가 쌓임
+ *         - 그 외 상태는 취소할 수 없음
+ *       summary: request 취소
+ *       operationId: cancel-runner-orders-requests-Id
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancelReasons'
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     $ref: '#/components/schemas/OrderRequestCancellations'
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper / runner 혹은 admin 만 접근 가능
+ *         409:
+ *           description: ORDER.CANCEL_NOT_ALLOWED - 취소할 수 없는 상태인 경우
+ */
+exports.cancelOrderRequest = orderHandlers.cancelOrderRequest;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/handoffPin:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         물건을 받을 shopper 가 runner 에게 보여줄 일회용 PIN 발급 (매칭 후 배달 완료 전까지)
+ *         다시 발급하면 이전 PIN 은 사용할 수 없음, 30분 후 만료되며 5번 틀리면 다시 발급해야 함
+ *       summary: 핸드오프 PIN 발급
+ *       operationId: create-runner-order-requests-Id-handoffPin
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       pin:
+ *                         type: string
+ *                         example: '042519'
+ *                       qrValue:
+ *                         type: string
+ *                         description: QR 코드로 보여줄 값
+ *                         example: roadrunner://handoff?orderType=runner&requestId=1&pin=042519
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper 만 발급 가능
+ *         409:
+ *           description: ORDER.INVALID_REQUEST_STATUS - MATCHED / DELIVERED_REQUEST 가 아닌 경우
+ */
+exports.issueHandoffPin = orderHandlers.issueHandoffPin;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/delivery:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         runner 가 shopper 에게 받은 핸드오프 PIN 과 배달 사진을 제출하여 DELIVERED_REQUEST 인 request 를 DELIVERED 로 변경
+ *         사진은 /upload/deliveryProofImages 로 업로드한 파일 (최대 5개), 제출한 증빙은 request 의 deliveryProof 로 저장됨
+ *       summary: 배달 완료 (핸드오프 PIN 확인)
+ *       operationId: create-runner-order-requests-Id-delivery
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - pin
+ *                 - files
+ *               properties:
+ *                 pin:
+ *                   type: string
+ *                   example: '042519'
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                   example:
+ *                     - path: /uploads/door-1591886948288.jpg
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       deliveryProof:
+ *                         $ref: '#/components/schemas/DeliveryProofs'
+ *         400:
+ *           description: ORDER.INVALID_HANDOFF_PIN - PIN 이 틀린 경우 / ORDER.INVALID_DELIVERY_PROOF - 업로드한 사진이 아닌 경우
+ *         409:
+ *           description: ORDER.HANDOFF_PIN_EXPIRED - 발급된 PIN 이 없거나 만료된 경우
+ *         423:
+ *           description: ORDER.HANDOFF_PIN_LOCKED - PIN 을 5번 틀린 경우
+ */
+exports.completeDelivery = orderHandlers.completeDelivery;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/dispute:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         shopper 가 배달 완료 요청(DELIVERED_REQUEST)에 이의를 제기함(DISPUTED) - 물품을 받지 못한 경우 사용
+ *         이의가 제기된 request 는 자동 확정되지 않고 escrow 금액은 관리자가 /dispute/resolve 로 처리할 때까지 보관된다.
+ *       summary: 배달 이의 제기
+ *       operationId: dispute-runner-orders-requests-Id
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - reason
+ *               properties:
+ *                 reason:
+ *                   type: string
+ *                   example: 물품을 받지 못했습니다.
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       disputeReason:
+ *                         type: string
+ *                       disputedAt:
+ *                         type: string
+ *                         format: date-time
+ *         400:
+ *           description: ORDER.STATUS_TRANSITION_NOT_ALLOWED - request 의 shopper 가 아닌 경우
+ */
+exports.disputeDelivery = orderHandlers.disputeDelivery;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/dispute/resolve:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         admin 이 이의가 제기된(DISPUTED) request 를 처리함
+ *         - DELIVERED: 배달이 확인된 경우, escrow 금액이 runner 에게 지급됨
+ *         - MATCH_FAIL: 배달되지 않은 경우, 결제한 금액이 shopper 에게 모두 환불됨
+ *       summary: 배달 이의 처리
+ *       operationId: resolve-runner-orders-requests-Id-dispute
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - requestStatus
+ *               properties:
+ *                 requestStatus:
+ *                   type: string
+ *                   enum: [DELIVERED, MATCH_FAIL]
+ *                 resolution:
+ *                   type: string
+ *                   example: 배달 사진으로 전달을 확인함
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       disputeResolution:
+ *                         type: string
+ *                       disputeResolvedBy:
+ *                         type: integer
+ *                       disputeResolvedAt:
+ *                         type: string
+ *                         format: date-time
+ *         400:
+ *           description: ORDER.STATUS_TRANSITION_NOT_ALLOWED - admin 이 아닌 경우
+ */
+exports.resolveDispute = orderHandlers.resolveDispute;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/location:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         runner 가 현재 위치를 보냄 - socket 의 updateLocation 을 쓸 수 없을 때 사용
+ *         request 의 runner 만 보낼 수 있고 MATCHED, DELIVERED_REQUEST 인 동안만 가능하다. 위치를 구독 중인 socket 에 'runnerLocation' 으로 전달된다.
+ *       summary: runner 위치 보내기
+ *       operationId: create-runner-order-requests-Id-location
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - lat
+ *                 - lng
+ *               properties:
+ *                 lat:
+ *                   type: number
+ *                   example: 37.5665
+ *                 lng:
+ *                   type: number
+ *                   example: 126.978
+ *                 accuracy:
+ *                   type: number
+ *                   example: 12
+ *                 heading:
+ *                   type: number
+ *                   example: 90
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     $ref: '#/components/schemas/RunnerLocationUpdates'
+ *         403:
+ *           description: ORDER.NOT_REQUEST_RUNNER - request 의 runner 가 아닌 경우
+ *         409:
+ *           description: ORDER.LOCATION_NOT_TRACKABLE - MATCHED, DELIVERED_REQUEST 가 아닌 경우
+ */
+exports.updateRunnerLocation = orderHandlers.updateRunnerLocation;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/location:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: |
+ *         runner 의 마지막 위치 / ETA 와 이동 경로 조회 - 거래 당사자 혹은 admin 만 조회할 수 있고 MATCHED, DELIVERED_REQUEST 인 동안만 가능하다.
+ *         실시간 위치는 socket 의 subscribeLocation 으로 구독한다.
+ *       summary: runner 위치 조회
+ *       operationId: get-runner-order-requests-Id-location
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     description: RunnerLocationUpdates 에 이동 경로(trail)가 추가됨
+ *                     properties:
+ *                       orderType:
+ *                         type: string
+ *                         enum: [shopper, runner]
+ *                       requestId:
+ *                         type: integer
+ *                       location:
+ *                         $ref: '#/components/schemas/RunnerLocations'
+ *                       eta:
+ *                         type: object
+ *                         nullable: true
+ *                       trail:
+ *                         type: array
+ *                         description: 보낸 순서대로의 이동 경로
+ *                         items:
+ *                           $ref: '#/components/schemas/RunnerLocations'
+ *         409:
+ *           description: ORDER.LOCATION_NOT_TRACKABLE - MATCHED, DELIVERED_REQUEST 가 아닌 경우
+ */
+exports.getRunnerLocation = orderHandlers.getRunnerLocation;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/reviews:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: 거래 상대방에게 리뷰를 남김 - request 가 DELIVERED 이후일 때 shopper / runner 가 한 번씩 남길 수 있으며 request 는 REVIEWED 로 변경됨
+ *       summary: request 리뷰 작성
+ *       operationId: create-runner-order-requests-Id-reviews
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - rating
+ *               properties:
+ *                 rating:
+ *                   type: integer
+ *                   minimum: 1
+ *                   maximum: 5
+ *                   example: 5
+ *                 content:
+ *                   type: string
+ *                   maxLength: 1000
+ *                   example: 빠르게 배달해주셨어요.
+ *                 tags:
+ *                   type: array
+ *                   description: 최대 5개
+ *                   items:
+ *                     type: string
+ *                     enum: [KIND, FAST, ON_TIME, ACCURATE, GOOD_COMMUNICATION, LATE, WRONG_ITEM, RUDE]
+ *                   example: [FAST, KIND]
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       review:
+ *                         $ref: '#/components/schemas/Reviews'
+ *         403:
+ *           description: REVIEW.NOT_ORDER_PARTY - request의 shopper / runner 만 리뷰를 남길 수 있음
+ *         409:
+ *           description: REVIEW.NOT_REVIEWABLE - 아직 DELIVERED 가 아닌 경우 / REVIEW.ALREADY_EXISTS - 이미 리뷰를 남긴 경우
+ */
+exports.createOrderRequestReview = orderHandlers.createOrderRequestReview;
+
+/**
+ * @swagger
+ * paths:
+ *   /runner/orders/requests/{requestId}/histories:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['runner']
+ *       description: request의 상태 변경 이력 조회 (오래된 순)
+ *       summary: request의 상태 변경 이력 조회
+ *       operationId: get-runner-order-requests-Id-histories
+ *       parameters:
+ *       - name: requestId
+ *         in: path
+ *         description: requestId
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       histories:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderRequestHistories'
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper / runner 혹은 admin 만 접근 가능
+ */
+exports.getOrderRequestHistories = orderHandlers.getOrderRequestHistories;
 
 /**
  * @swagger
@@ -663,7 +1569,7 @@ exports.updateOrderRequest = async (req, res, next) => {
  *       security:
  *         - JWT: []
  *       tags: ['runner']
- *       description: 특정 request 삭제
+ *       description: 특정 request 삭제 - 응답을 기다리는(REQUESTING) request 만 삭제할 수 있음
  *       summary: 특정 request 삭제
  *       operationId: delete-runner-order-requests-Id
  *       parameters:
@@ -687,16 +1593,11 @@ exports.updateOrderRequest = async (req, res, next) => {
  *                     properties:
  *                       isDeleted:
  *                         type: boolean
- *
+ *         403:
+ *           description: AUTH.FORBIDDEN - request의 shopper / runner 혹은 admin 만 접근 가능
+ *         409:
+ *           description: |
+ *             ORDER.CANCEL_REQUIRED - 매칭된 request 인 경우 (/cancel 로 취소해야 함)
+ *             ORDER.INVALID_REQUEST_STATUS - 배달 완료 / 리뷰 / 취소된 request 인 경우 (거래 기록으로 남음)
  */
-exports.deleteOrderRequest = async (req, res, next) => {
-  const request = Object.assign(req.body, req.params);
-  try {
-    const isDeleted = await RunnerService.deleteOrderRequest(request);
-
-    return res.status(200).json({ success: true, data: { isDeleted } });
-  } catch (error) {
-    console.error(error);
-    next(error);
-  }
-};
+exports.deleteOrderRequest = orderHandlers.deleteOrderRequest;
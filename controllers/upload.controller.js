@@ -1,7 +1,9 @@
 const multer = require('multer');
 const path = require('path');
+const UploadService = require('../services/upload.service');
 
 const { validationMiddleware } = require('../middlewares');
+const activeSession = require('../middlewares/activeSession');
 const { param } = require('express-validator');
 
 const storage = multer.diskStorage({
@@ -47,17 +49,21 @@ const upload = multer({ storage });
  * paths:
  *   /upload/{type}:
  *     post:
- *       description: 타입별 파일 업로드
+ *       security:
+ *         - JWT: []
+ *       description: 타입별 파일 업로드 - 업로드한 유저와 type 이 기록되며 배달 사진 / 채팅 사진은 업로드한 유저가 같은 type 으로 올린 파일만 사용할 수 있다
  *       summary: 타입별 파일 업로드
  *       operationId: uploadType
  *       parameters:
  *       - name: type
- *         description: 'Allow Types: [ userProfileImage, shopperOrderImages ]'
+ *         description: 'Allow Types: [ userProfileImage, shopperOrderImages, chattingImages, deliveryProofImages ]'
  *         in: path
  *         type: string
  *         enum:
  *           - userProfileImage
  *           - shopperOrderImage
+ *           - chattingImages
+ *           - deliveryProofImages
  *         example:
  *           userProfileImage
  *       requestBody:
@@ -92,8 +98,14 @@ const upload = multer({ storage });
  *                         items:
  *                           $ref: '#/components/schemas/file'
  */
-const allowTypes = ['userProfileImage', 'shopperOrderImages'];
+const allowTypes = [
+  'userProfileImage',
+  'shopperOrderImages',
+  'chattingImages',
+  'deliveryProofImages',
+];
 exports.upload = [
+  activeSession,
   param('type')
     .custom(type => allowTypes.indexOf(type) > -1)
     .withMessage(`allow type is [${allowTypes.join(',')}]`),
@@ -112,6 +124,11 @@ exports.upload = [
         delete file.originalname;
       });
 
+      // 파일을 사용할 때 업로드한 유저와 type 을 확인함 (utils/uploadedFile)
+      await UploadService.createUploads(
+        files.map(file => ({ path: file.path, type, userId: req.decoded.userId })),
+      );
+
       return res.json({
         success: true,
         data: {
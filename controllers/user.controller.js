@@ -1,7 +1,55 @@
 const bcrypt = require('bcrypt');
 const UserService = require('../services/user.service');
+const SessionService = require('../services/session.service');
+const BlockService = require('../services/block.service');
+const ReportService = require('../services/report.service');
+const ChattingService = require('../services/chatting.service');
+const BoardService = require('../services/board.service');
+const ReviewService = require('../services/review.service');
+const AvailabilityService = require('../services/availability.service');
 const { validationMiddleware } = require('../middlewares');
-const { body } = require('express-validator');
+const activeSession = require('../middlewares/activeSession');
+const loginThrottle = require('../utils/loginThrottle');
+const createError = require('../utils/createError');
+const { disconnectUser } = require('../utils/session');
+const { findOrderOwnerId } = require('../utils/orderOwner');
+const { cursorQuery, findPage } = require('../utils/cursor');
+const { slotsBody, exceptionBody, getAvailability } = require('../utils/availability');
+const { body, param, query } = require('express-validator');
+
+const REVIEW_CURSOR_FIELDS = ['reviewId'];
+const REPORT_REASON = ['SPAM', 'ABUSE', 'FRAUD', 'INAPPROPRIATE', 'OTHER'];
+// PUT /user 로 변경할 수 있는 프로필 필드 - emailVerifiedAt, role, onDuty 등은 변경할 수 없음
+const PROFILE_FIELDS = [
+  'displayName',
+  'address',
+  'addressDetail',
+  'gender',
+  'profileImagePath',
+  'possibleDistance',
+  'contactTime',
+  'payments',
+];
+
+// 신고 대상별 대상을 작성한 유저 id 조회 - 대상이 없거나 신고할 수 없으면 null
+const reportTargets = {
+  USER: async targetId => {
+    const user = await UserService.getUserById(targetId);
+    return user && user.userId;
+  },
+  // 멤버인 채팅방의 메세지만 신고 가능, SYSTEM 메세지는 userId 가 없음
+  MESSAGE: async (targetId, userId) => {
+    const message = await ChattingService.getMessageById(targetId);
+    if (!message || !(await ChattingService.getMember(message.roomId, userId))) return null;
+    return message.userId;
+  },
+  SHOPPER_ORDER: targetId => findOrderOwnerId('shopper', targetId),
+  RUNNER_ORDER: targetId => findOrderOwnerId('runner', targetId),
+  BOARD: async targetId => {
+    const board = await BoardService.getBoardById(targetId);
+    return board && board.userId;
+  },
+};
 
 /**
  * @swagger
@@ -9,7 +57,7 @@ const { body } = require('express-validator');
  *   /user/{userId}:
  *     get:
  *       tags: ['user']
- *       description: 유저 정보 조회
+ *       description: 유저 정보 조회 - 받은 리뷰의 평균 평점 / 개수를 포함함
  *       summary: 유저 정보 조회
  *       operationId: getUserByUserId
  *       parameters:
@@ -34,19 +82,110 @@ const { body } = require('express-validator');
  *                     properties:
  *                       user:
  *                         $ref: '#/components/schemas/Users'
+ *                       rating:
+ *                         type: object
+ *                         properties:
+ *                           average:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 4.5
+ *                           count:
+ *                             type: integer
+ *                             example: 12
  */
 exports.getUser = async (req, res, next) => {
   const { userId } = req.params;
 
   try {
     const user = await UserService.getUserById(userId);
+    // { average, count } - 리뷰가 없으면 average 는 null
+    const rating = user && (await ReviewService.getRatingSummary(user.userId));
 
-    res.status(200).json({ success: true, data: user });
+    res.status(200).json({
+      success: true,
+      data: user && Object.assign(user.toJSON ? user.toJSON() : user, { rating }),
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @swagger
+ * paths:
+ *   /user/{userId}/reviews:
+ *     get:
+ *       tags: ['user']
+ *       description: 유저가 받은 리뷰 목록 (최신순)
+ *       summary: 유저가 받은 리뷰 목록
+ *       operationId: getUserReviews
+ *       parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         type: number
+ *         example: 1
+ *       - name: offset
+ *         in: query
+ *         type: integer
+ *         default: 0
+ *       - name: limit
+ *         in: query
+ *         type: integer
+ *         default: 20
+ *       - name: before
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 앞쪽(목록 앞에 새로 추가된) 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       - name: after
+ *         in: query
+ *         description: nextCursor 를 넘기면 cursor 다음 항목들을 조회 - offset 은 무시됨
+ *         type: string
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       reviews:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Reviews'
+ *                       nextCursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 다음 페이지 조회에 사용할 cursor (before 로 조회했다면 before 로, 아니면 after 로 전달), 더 없으면 null
+ */
+exports.getUserReviews = [
+  param('userId').isInt().toInt(),
+  query('offset').isInt({ min: 0 }).optional().toInt(),
+  query('limit').isInt({ min: 1, max: 50 }).optional().toInt(),
+  ...cursorQuery,
+  validationMiddleware,
+  async (req, res, next) => {
+    const revieweeId = req.params.userId;
+
+    try {
+      // 리뷰를 남긴 유저(reviewer) 정보가 포함됨
+      const reviews = await findPage(
+        q => ReviewService.getReviewsByRevieweeId(q),
+        Object.assign({}, req.query, { revieweeId }),
+        { key: 'reviews', fields: REVIEW_CURSOR_FIELDS },
+      );
+
+      res.status(200).json({ success: true, data: reviews });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
 /**
  * @swagger
  * paths:
@@ -55,7 +194,7 @@ exports.getUser = async (req, res, next) => {
  *       security:
  *         - JWT: []
  *       tags: ['user']
- *       description: 유저 정보 업데이트
+ *       description: 유저 정보 업데이트 - 아래 프로필 필드 외의 값은 무시됨
  *       summary: 유저 정보 업데이트
  *       operationId: updateUser
  *       requestBody:
@@ -109,20 +248,25 @@ exports.getUser = async (req, res, next) => {
  *                       user:
  *                         $ref: '#/components/schemas/Users'
  */
-exports.updateUser = async (req, res, next) => {
-  const userId = req.decoded.userId;
-  const user = req.body;
-  user.userId = userId;
+exports.updateUser = [
+  activeSession,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const user = PROFILE_FIELDS.filter(field => req.body[field] !== undefined).reduce(
+      (fields, field) => Object.assign(fields, { [field]: req.body[field] }),
+      { userId },
+    );
 
-  try {
-    await UserService.updateUser(user);
-    const updatedUser = await UserService.getUserById(userId);
+    try {
+      await UserService.updateUser(user);
+      const updatedUser = await UserService.getUserById(userId);
 
-    res.status(200).json({ success: true, data: { user: updatedUser } });
-  } catch (error) {
-    next(error);
-  }
-};
+      res.status(200).json({ success: true, data: { user: updatedUser } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
 
 /**
  * @swagger
@@ -132,7 +276,7 @@ exports.updateUser = async (req, res, next) => {
  *       security:
  *         - JWT: []
  *       tags: ['user']
- *       description: 유저 비밀번호 업데이트
+ *       description: 유저 비밀번호 업데이트 - 현재 세션을 제외한 모든 세션은 로그아웃 됨
  *       summary: 유저 비밀번호 업데이트
  *       operationId: updateUserPassword
  *       requestBody:
@@ -169,8 +313,13 @@ exports.updateUser = async (req, res, next) => {
  *                     properties:
  *                       user:
  *                         $ref: '#/components/schemas/Users'
+ *         423:
+ *           description: AUTH.ACCOUNT_LOCKED - 비밀번호 확인 실패가 반복되어 계정이 잠김
+ *         429:
+ *           description: AUTH.TOO_MANY_ATTEMPTS - 비밀번호 확인 실패가 반복되어 잠시 후 다시 시도해야 함
  */
 exports.updateUserPassword = [
+  activeSession,
   body('password').exists(),
   body('newPassword').exists(),
   validationMiddleware,
@@ -180,14 +329,24 @@ exports.updateUserPassword = [
 
     try {
       const user = await UserService.getUserByIdWithPassword(userId);
+      // 로그인과 같은 실패 횟수 / 잠금을 공유함
+      const attempt = { email: user.email, ip: req.ip };
+      await loginThrottle.assertCanAttempt(attempt);
+
       const checkPassword = await bcrypt.compare(password, user.password);
       if (!checkPassword) throw new Error('AUTH.PASSWORD_INCORRECT');
+      await loginThrottle.recordSuccess(attempt);
 
       const hashPassword = await bcrypt.hash(newPassword, 12);
       await UserService.updateUserPassword(userId, hashPassword);
+      await SessionService.revokeSessionsByUserId(userId, {
+        exceptSessionId: req.decoded.sessionId,
+      });
+      disconnectUser(req.io, userId, { exceptSessionId: req.decoded.sessionId });
 
       res.status(200).json({ success: true, data: {} });
     } catch (error) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
       next(error);
     }
   },
@@ -220,17 +379,644 @@ exports.updateUserPassword = [
  *                       isDeleted:
  *                         type: boolean
  */
-exports.deleteUser = async (req, res, next) => {
-  const userId = req.decoded.userId;
+exports.deleteUser = [
+  activeSession,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
 
-  try {
-    const user = await UserService.getUserById(userId);
-    if (!user) throw new Error('USER.USER_NOT_FOUND');
+    try {
+      const user = await UserService.getUserById(userId);
+      if (!user) throw new Error('USER.USER_NOT_FOUND');
 
-    const isDeleted = await UserService.deleteUserById(userId);
+      const isDeleted = await UserService.deleteUserById(userId);
 
-    res.status(200).json({ success: true, data: { isDeleted } });
-  } catch (error) {
-    next(error);
-  }
-};
+      res.status(200).json({ success: true, data: { isDeleted } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/blocks:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 로그인 유저가 차단한 유저 목록
+ *       summary: 차단한 유저 목록
+ *       operationId: getBlocks
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       users:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Users'
+ */
+exports.getBlocks = [
+  activeSession,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      const users = await BlockService.getBlockedUsers(userId);
+
+      res.status(200).json({ success: true, data: { users } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/blocks:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: |
+ *         유저 차단 - 차단은 양쪽 모두에게 적용됨
+ *         - 서로 채팅방을 만들거나 1:1 / order 채팅방에 메세지를 보낼 수 없음
+ *         - 서로의 order 에 요청을 보낼 수 없고 order 목록에서 서로의 order 가 제외됨
+ *       summary: 유저 차단
+ *       operationId: blockUser
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - userId
+ *               properties:
+ *                 userId:
+ *                   type: integer
+ *                   example: 2
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ */
+exports.blockUser = [
+  activeSession,
+  body('userId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const blockedUserId = req.body.userId;
+
+    try {
+      if (blockedUserId === userId) throw createError('USER.INVALID_BLOCK', 400);
+
+      const user = await UserService.getUserById(blockedUserId);
+      if (!user) throw new Error('USER.USER_NOT_FOUND');
+
+      // 이미 차단한 유저면 변경되지 않음
+      await BlockService.blockUser(userId, blockedUserId);
+
+      res.status(200).json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/blocks/{userId}:
+ *     delete:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 유저 차단 해제
+ *       summary: 유저 차단 해제
+ *       operationId: unblockUser
+ *       parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         type: integer
+ *         example: 2
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ */
+exports.unblockUser = [
+  activeSession,
+  param('userId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      await BlockService.unblockUser(userId, req.params.userId);
+
+      res.status(200).json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AvailabilitySlots:
+ *       type: object
+ *       description: 매주 반복되는 활동 시간 - 22:00 ~ 02:00 처럼 자정을 넘을 수 있음 (서버 시간대 기준)
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 일요일 ~ 6 토요일
+ *           example: 1
+ *         startTime:
+ *           type: string
+ *           format: time
+ *           example: '09:00'
+ *         endTime:
+ *           type: string
+ *           format: time
+ *           example: '18:00'
+ *     AvailabilityExceptions:
+ *       type: object
+ *       description: 특정 날짜의 예외 - 그 날짜에는 주간 활동 시간 대신 예외만 적용됨
+ *       properties:
+ *         exceptionId:
+ *           type: integer
+ *           example: 1
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: '2026-10-24'
+ *         available:
+ *           type: boolean
+ *           description: false 면 하루 종일 쉼, true 면 startTime ~ endTime 에만 활동 (시간이 없으면 하루 종일)
+ *         startTime:
+ *           type: string
+ *           format: time
+ *           nullable: true
+ *         endTime:
+ *           type: string
+ *           format: time
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           example: 휴가
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/availability:
+ *     get:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: |
+ *         로그인 유저(runner)의 근무 상태와 활동 시간 - 오늘 이후의 예외만 포함
+ *         근무 중(onDuty)이고 활동 시간인 runner 만 runner order 목록 / 추천에 나오고 요청을 받을 수 있다. 주간 활동 시간을 등록하지 않았으면 근무 중인 동안 항상 활동 중이다.
+ *       summary: 근무 상태 / 활동 시간 조회
+ *       operationId: getAvailability
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       onDuty:
+ *                         type: boolean
+ *                       slots:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AvailabilitySlots'
+ *                       exceptions:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AvailabilityExceptions'
+ */
+exports.getAvailability = [
+  activeSession,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      const availability = await getAvailability(userId);
+
+      res.status(200).json({ success: true, data: availability });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/duty:
+ *     put:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 근무 상태 변경 - 근무 중이 아니면 활동 시간과 관계없이 runner order 에 요청을 받을 수 없다 (RUNNER.OFF_DUTY)
+ *       summary: 근무 상태 변경
+ *       operationId: updateDuty
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - onDuty
+ *               properties:
+ *                 onDuty:
+ *                   type: boolean
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       onDuty:
+ *                         type: boolean
+ */
+exports.updateDuty = [
+  activeSession,
+  body('onDuty').isBoolean().toBoolean(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { onDuty } = req.body;
+
+    try {
+      await UserService.updateUser({ userId, onDuty });
+
+      res.status(200).json({ success: true, data: { onDuty } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/availability/slots:
+ *     put:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 주간 활동 시간을 slots 로 바꿈 - 빈 배열이면 근무 중인 동안 항상 활동 중
+ *       summary: 주간 활동 시간 변경
+ *       operationId: updateAvailabilitySlots
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - slots
+ *               properties:
+ *                 slots:
+ *                   type: array
+ *                   maxItems: 50
+ *                   items:
+ *                     $ref: '#/components/schemas/AvailabilitySlots'
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       slots:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AvailabilitySlots'
+ */
+exports.updateAvailabilitySlots = [
+  activeSession,
+  ...slotsBody,
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const slots = req.body.slots.map(({ dayOfWeek, startTime, endTime }) => ({
+      dayOfWeek,
+      startTime,
+      endTime,
+    }));
+
+    try {
+      const savedSlots = await AvailabilityService.replaceSlots(userId, slots);
+
+      res.status(200).json({ success: true, data: { slots: savedSlots } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/availability/exceptions:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 특정 날짜의 예외 추가 - 같은 날짜의 예외가 있으면 바뀜
+ *       summary: 활동 시간 예외 추가
+ *       operationId: createAvailabilityException
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - date
+ *                 - available
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   example: '2026-10-24'
+ *                 available:
+ *                   type: boolean
+ *                   example: false
+ *                 startTime:
+ *                   type: string
+ *                   format: time
+ *                 endTime:
+ *                   type: string
+ *                   format: time
+ *                 reason:
+ *                   type: string
+ *                   example: 휴가
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       exception:
+ *                         $ref: '#/components/schemas/AvailabilityExceptions'
+ *         400:
+ *           description: USER.INVALID_AVAILABILITY - startTime / endTime 중 하나만 있거나 available 이 false 인데 시간이 있는 경우
+ */
+exports.createAvailabilityException = [
+  activeSession,
+  ...exceptionBody,
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { date, available, startTime, endTime, reason } = req.body;
+
+    try {
+      const hasTime = !!startTime || !!endTime;
+      if ((hasTime && !(startTime && endTime)) || (hasTime && !available)) {
+        throw createError('USER.INVALID_AVAILABILITY', 400);
+      }
+
+      // (userId, date) 별로 하나만 저장됨
+      const exception = await AvailabilityService.saveException({
+        userId,
+        date,
+        available,
+        startTime: startTime || null,
+        endTime: endTime || null,
+        reason: reason || null,
+      });
+
+      res.status(200).json({ success: true, data: { exception } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * paths:
+ *   /user/me/availability/exceptions/{exceptionId}:
+ *     delete:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 활동 시간 예외 삭제
+ *       summary: 활동 시간 예외 삭제
+ *       operationId: deleteAvailabilityException
+ *       parameters:
+ *       - name: exceptionId
+ *         in: path
+ *         required: true
+ *         type: integer
+ *         example: 1
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       isDeleted:
+ *                         type: boolean
+ */
+exports.deleteAvailabilityException = [
+  activeSession,
+  param('exceptionId').isInt().toInt(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+
+    try {
+      // 다른 유저의 예외는 삭제되지 않음
+      const isDeleted = await AvailabilityService.deleteException(userId, req.params.exceptionId);
+
+      res.status(200).json({ success: true, data: { isDeleted } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reports:
+ *       type: object
+ *       properties:
+ *         reportId:
+ *           type: integer
+ *           example: 1
+ *         reporterId:
+ *           type: integer
+ *           example: 1
+ *         targetType:
+ *           type: string
+ *           enum: [USER, MESSAGE, SHOPPER_ORDER, RUNNER_ORDER, BOARD]
+ *         targetId:
+ *           type: integer
+ *           example: 10
+ *         reportedUserId:
+ *           type: integer
+ *           example: 2
+ *         reason:
+ *           type: string
+ *           enum: [SPAM, ABUSE, FRAUD, INAPPROPRIATE, OTHER]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           description: 처리 상태 - 신고는 PENDING 으로 등록되어 운영자가 처리함
+ *           enum: [PENDING, RESOLVED, DISMISSED]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * paths:
+ *   /user/reports:
+ *     post:
+ *       security:
+ *         - JWT: []
+ *       tags: ['user']
+ *       description: 유저 / 채팅 메세지 / order / 게시글 신고 - 운영자 확인 대기열(PENDING)에 등록됨, 메세지는 멤버인 채팅방의 메세지만 신고 가능
+ *       summary: 신고
+ *       operationId: createReport
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - targetType
+ *                 - targetId
+ *                 - reason
+ *               properties:
+ *                 targetType:
+ *                   type: string
+ *                   enum: [USER, MESSAGE, SHOPPER_ORDER, RUNNER_ORDER, BOARD]
+ *                 targetId:
+ *                   type: integer
+ *                   example: 10
+ *                 reason:
+ *                   type: string
+ *                   enum: [SPAM, ABUSE, FRAUD, INAPPROPRIATE, OTHER]
+ *                 description:
+ *                   type: string
+ *                   maxLength: 1000
+ *                   example: 욕설을 보냈습니다.
+ *       responses:
+ *         200:
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       report:
+ *                         $ref: '#/components/schemas/Reports'
+ *         404:
+ *           description: REPORT.TARGET_NOT_FOUND - 대상이 없거나 신고할 수 없는 경우
+ *         409:
+ *           description: REPORT.ALREADY_REPORTED - 처리되지 않은 같은 대상의 신고가 있는 경우
+ */
+exports.createReport = [
+  activeSession,
+  body('targetType').isIn(Object.keys(reportTargets)),
+  body('targetId').isInt().toInt(),
+  body('reason').isIn(REPORT_REASON),
+  body('description').isString().isLength({ max: 1000 }).optional(),
+  validationMiddleware,
+  async (req, res, next) => {
+    const userId = req.decoded.userId;
+    const { targetType, targetId, reason, description } = req.body;
+
+    try {
+      const reportedUserId = await reportTargets[targetType](targetId, userId);
+      if (!reportedUserId) throw createError('REPORT.TARGET_NOT_FOUND', 404);
+      if (reportedUserId === userId) throw createError('REPORT.INVALID_TARGET', 400);
+
+      const prevReport = await ReportService.getPendingReport(userId, targetType, targetId);
+      if (prevReport) throw createError('REPORT.ALREADY_REPORTED', 409);
+
+      const report = await ReportService.createReport({
+        reporterId: userId,
+        targetType,
+        targetId,
+        reportedUserId,
+        reason,
+        description: description || null,
+        status: 'PENDING',
+      });
+
+      res.status(200).json({ success: true, data: { report } });
+    } catch (error) {
+      next(error);
+    }
+  },
+];
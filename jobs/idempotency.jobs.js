@@ -0,0 +1,10 @@
+const IdempotencyKeyService = require('../services/idempotencyKey.service');
+
+// 만료(expiresAt)된 Idempotency-Key 삭제
+const purgeIdempotencyKeys = () => async now => {
+  await IdempotencyKeyService.deleteKeys({ expiredBefore: now });
+};
+
+module.exports = {
+  purgeIdempotencyKeys,
+};
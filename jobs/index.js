@@ -0,0 +1,32 @@
+const { createScheduler } = require('./scheduler');
+const {
+  expireOrders,
+  confirmDeliveries,
+  retrySettlements,
+  purgeLocations,
+} = require('./order.jobs');
+const { purgeIdempotencyKeys } = require('./idempotency.jobs');
+
+const ORDER_EXPIRY_INTERVAL = 1000 * 60;
+const DELIVERY_CONFIRM_INTERVAL = 1000 * 60 * 10;
+const SETTLEMENT_RETRY_INTERVAL = 1000 * 60 * 5;
+const LOCATION_PURGE_INTERVAL = 1000 * 60 * 60;
+const IDEMPOTENCY_PURGE_INTERVAL = 1000 * 60 * 60;
+
+/**
+ * 백그라운드 작업을 등록한 스케줄러 - start() 로 시작함
+ * app 에서 req.io 로 넘기는 socket.io 서버와 같은 서버를 넘김
+ * @param {object} io socket.io 서버
+ * @param {{ clock?: { now: () => Date }, tickInterval?: number }} options createScheduler 의 options
+ */
+module.exports = (io, options) => {
+  const scheduler = createScheduler(options);
+
+  scheduler.register('expireOrders', ORDER_EXPIRY_INTERVAL, expireOrders(io));
+  scheduler.register('confirmDeliveries', DELIVERY_CONFIRM_INTERVAL, confirmDeliveries(io));
+  scheduler.register('retrySettlements', SETTLEMENT_RETRY_INTERVAL, retrySettlements());
+  scheduler.register('purgeLocations', LOCATION_PURGE_INTERVAL, purgeLocations());
+  scheduler.register('purgeIdempotencyKeys', IDEMPOTENCY_PURGE_INTERVAL, purgeIdempotencyKeys());
+
+  return scheduler;
+};
@@ -0,0 +1,127 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const LocationService = require('../services/location.service');
+const LedgerService = require('../services/ledger.service');
+const { getOrderRequest } = require('../middlewares/orderRequestPolicy');
+const { PARTY } = require('../utils/orderRequestStatus');
+const { changeRequestStatus } = require('../utils/orderRequestTransition');
+const { LOCATION_RETENTION } = require('../utils/runnerLocation');
+const escrow = require('../utils/escrow');
+
+const services = {
+  shopper: ShopperService,
+  runner: RunnerService,
+};
+const ORDER_TYPES = Object.keys(services);
+// 한 번 실행할 때 처리할 최대 개수 - 남은 것은 다음 실행에서 처리됨
+const BATCH_SIZE = 100;
+// DELIVERED_REQUEST 이후 이 시간 동안 PIN 확인 / shopper 의 이의 제기가 없으면 DELIVERED 로 자동 확정
+const DELIVERY_CONFIRM_GRACE = 1000 * 60 * 60 * 24;
+
+// 백그라운드 작업이 상태를 바꿀 때의 request 정보 - 거래 당사자와 관계없이 SYSTEM party 로 전이함
+const getSystemOrderRequest = (orderType, request) =>
+  Object.assign(getOrderRequest(orderType, request, { userId: null }), {
+    parties: [PARTY.SYSTEM],
+  });
+
+// 하나가 실패해도 나머지는 처리함
+const forEachSafe = async (items, handler) => {
+  for (const item of items) {
+    await handler(item).catch(error => console.error(error));
+  }
+};
+
+/**
+ * 시간대(expiresAt)가 지난 order 를 만료시키고 아직 REQUESTING 인 요청을 MATCH_FAIL 로 바꿈
+ * 이미 매칭된 request 는 그대로 진행됨
+ * @param {object} io
+ */
+const expireOrders = io => async now => {
+  for (const orderType of ORDER_TYPES) {
+    const Service = services[orderType];
+    // 취소 / 만료되지 않았고 expiresAt <= now 인 order
+    const orders = await Service.getExpiredOrders({ now, limit: BATCH_SIZE });
+
+    await forEachSafe(orders, async order => {
+      // request 에는 order(shopperOrder / runnerOrder)가 포함되어 있음
+      const requests = await Service.getOrderRequestsByOrderId(order.orderId);
+      const pendingRequests = requests.filter(request => request.requestStatus === 'REQUESTING');
+
+      await forEachSafe(pendingRequests, request =>
+        changeRequestStatus(io, orderType, {
+          orderRequest: getSystemOrderRequest(orderType, request),
+          requestStatus: 'MATCH_FAIL',
+          fields: { expiredAt: now },
+        }),
+      );
+      await Service.expireOrder(order.orderId, now);
+    });
+  }
+};
+
+/**
+ * DELIVERED_REQUEST 후 DELIVERY_CONFIRM_GRACE 가 지난 request 를 DELIVERED 로 확정 (escrow 금액이 runner 에게 지급됨)
+ * 이의가 제기된(DISPUTED) request 는 관리자가 처리하므로 확정하지 않음
+ * @param {object} io
+ */
+const confirmDeliveries = io => async now => {
+  const updatedBefore = new Date(now.getTime() - DELIVERY_CONFIRM_GRACE);
+
+  for (const orderType of ORDER_TYPES) {
+    const Service = services[orderType];
+    // request 에는 order(shopperOrder / runnerOrder)가 포함되어 있음
+    const requests = await Service.getOrderRequestsByStatus({
+      requestStatus: 'DELIVERED_REQUEST',
+      updatedBefore,
+      limit: BATCH_SIZE,
+    });
+
+    await forEachSafe(requests, request =>
+      changeRequestStatus(io, orderType, {
+        orderRequest: getSystemOrderRequest(orderType, request),
+        requestStatus: 'DELIVERED',
+        fields: { autoConfirmedAt: now },
+      }),
+    );
+  }
+};
+
+/**
+ * 실패한 escrow 정산(지급 / 환불)을 다시 시도 - 성공하면 정산 실패 기록을 지움
+ * 실패가 계속되면 attemptCount 가 늘어나므로 관리자가 확인할 수 있음
+ */
+const retrySettlements = () => async () => {
+  const failures = await LedgerService.getSettlementFailures({ limit: BATCH_SIZE });
+
+  await forEachSafe(failures, async failure => {
+    const { orderType, requestId, requestStatus, cancelFee } = failure;
+
+    try {
+      // request 에는 order(shopperOrder / runnerOrder)가 포함되어 있음
+      const request = await services[orderType].getOrderRequestById(requestId);
+      if (!request) throw new Error('ORDER.REQUEST_NOT_FOUND');
+      const orderEscrow = escrow.getEscrow(orderType, getSystemOrderRequest(orderType, request));
+
+      await escrow.settle(orderEscrow, requestStatus, { cancelFee });
+      await LedgerService.deleteSettlementFailure(failure.failureId);
+    } catch (error) {
+      await LedgerService.updateSettlementFailure(failure.failureId, {
+        attemptCount: failure.attemptCount + 1,
+        lastError: error.message,
+      });
+    }
+  });
+};
+
+// 보관 기간(LOCATION_RETENTION)이 지난 runner 위치 기록 삭제
+const purgeLocations = () => async now => {
+  const recordedBefore = new Date(now.getTime() - LOCATION_RETENTION);
+  await LocationService.deleteLocations({ recordedBefore });
+};
+
+module.exports = {
+  expireOrders,
+  confirmDeliveries,
+  retrySettlements,
+  purgeLocations,
+};
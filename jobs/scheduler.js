@@ -0,0 +1,82 @@
+// 백그라운드 작업 스케줄러 - 등록된 작업을 interval 마다 실행함
+// 작업은 메모리의 타이머로 실행되므로 서버를 여러 대 띄우는 경우 한 대에서만 start 해야 함
+
+const TICK_INTERVAL = 1000 * 30;
+
+// 현재 시각을 돌려주는 clock - 테스트에서는 now 를 바꿀 수 있는 clock 을 넘기고 runDue 를 직접 호출함
+const systemClock = {
+  now: () => new Date(),
+};
+
+/**
+ * 스케줄러 생성
+ * @param {{ clock?: { now: () => Date }, tickInterval?: number }} options
+ */
+const createScheduler = ({ clock = systemClock, tickInterval = TICK_INTERVAL } = {}) => {
+  const jobs = new Map();
+  let timer = null;
+
+  // 이전 실행이 끝나지 않은 작업은 다시 실행하지 않음, 실패해도 다음 실행 시각에 다시 시도함
+  // 앞의 작업이 오래 걸리는 동안 다음 tick 이 같은 작업을 시작했을 수 있으므로 실행 직전에 다시 확인함
+  const runJob = async (job, now) => {
+    if (job.running) return;
+    job.running = true;
+    job.nextRunAt = new Date(now.getTime() + job.interval);
+    try {
+      await job.run(now);
+    } catch (error) {
+      console.error(`[scheduler] ${job.name}`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  /**
+   * 작업 등록 - 처음 runDue 에서 바로 실행되고 이후 interval 마다 실행됨
+   * @param {string} name
+   * @param {number} interval ms
+   * @param {(now: Date) => Promise<any>} run
+   */
+  const register = (name, interval, run) => {
+    jobs.set(name, { name, interval, run, nextRunAt: null, running: false });
+  };
+
+  // clock 기준으로 실행할 시각이 된 작업들을 차례로 실행
+  const runDue = async () => {
+    const now = clock.now();
+    const dueJobs = Array.from(jobs.values()).filter(
+      job => !job.running && (!job.nextRunAt || job.nextRunAt <= now),
+    );
+    for (const job of dueJobs) await runJob(job, now);
+  };
+
+  /**
+   * 실행 시각과 관계없이 작업을 바로 실행
+   * @param {string} name
+   */
+  const run = name => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`SCHEDULER.JOB_NOT_FOUND: ${name}`);
+    return runJob(job, clock.now());
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => runDue(), tickInterval);
+    // 타이머 때문에 프로세스가 종료되지 않는 일이 없도록 함
+    if (timer.unref) timer.unref();
+    runDue();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { register, runDue, run, start, stop };
+};
+
+module.exports = {
+  systemClock,
+  createScheduler,
+};
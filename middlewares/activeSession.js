@@ -0,0 +1,14 @@
+const { assertActiveSession } = require('../utils/session');
+
+/**
+ * authMiddleware 뒤에 사용 - 로그아웃 된 세션의 access token 은 만료 전이라도 통과시키지 않음
+ */
+module.exports = async (req, res, next) => {
+  try {
+    await assertActiveSession(req.decoded.sessionId);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
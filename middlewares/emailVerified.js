@@ -0,0 +1,17 @@
+const UserService = require('../services/user.service');
+const createError = require('../utils/createError');
+
+/**
+ * 이메일 인증을 마친 유저만 통과
+ */
+module.exports = async (req, res, next) => {
+  try {
+    const user = await UserService.getUserById(req.decoded.userId);
+    if (!user) throw new Error('USER.USER_NOT_FOUND');
+    if (!user.emailVerifiedAt) throw createError('AUTH.EMAIL_NOT_VERIFIED', 403);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
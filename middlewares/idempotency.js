@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const IdempotencyKeyService = require('../services/idempotencyKey.service');
+const createError = require('../utils/createError');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// 저장된 key 는 KEY_TTL 이 지나면 만료되어 같은 key 를 다시 사용할 수 있음 (처리 중에 멈춘 key 포함)
+const KEY_TTL = 1000 * 60 * 60 * 24;
+
+// 같은 key로 다른 요청을 보낸 경우를 구분하기 위한 값
+const getFingerprint = req =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Idempotency-Key 헤더가 있는 요청은 유저별로 한 번만 처리하고, 같은 key로 다시 들어온 요청에는 처음 응답을 그대로 돌려줌
+ * 헤더가 없으면 그냥 통과, 5xx 응답이나 응답 전에 끊긴 요청은 저장하지 않으므로 같은 key로 재시도 할 수 있음
+ */
+module.exports = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  const userId = req.decoded.userId;
+  const fingerprint = getFingerprint(req);
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) throw createError('IDEMPOTENCY.INVALID_KEY', 400);
+
+    const now = new Date();
+    let saved = await IdempotencyKeyService.getKey(userId, key);
+    if (saved && new Date(saved.expiresAt) <= now) {
+      await IdempotencyKeyService.deleteKey(userId, key, { expiredBefore: now });
+      saved = null;
+    }
+    if (saved) {
+      if (saved.fingerprint !== fingerprint) throw createError('IDEMPOTENCY.KEY_REUSED', 422);
+      if (!saved.responseStatus) throw createError('IDEMPOTENCY.REQUEST_IN_PROGRESS', 409);
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(saved.responseStatus).json(saved.responseBody);
+    }
+
+    // (userId, key) unique - 동시에 들어온 같은 key 요청은 하나만 생성됨
+    const isCreated = await IdempotencyKeyService.createKey({
+      userId,
+      key,
+      fingerprint,
+      expiresAt: new Date(now.getTime() + KEY_TTL),
+    });
+    if (!isCreated) throw createError('IDEMPOTENCY.REQUEST_IN_PROGRESS', 409);
+
+    // res.json 외의 방법으로 응답해도 응답이 끝나면(finish) 저장하고, 응답 전에 연결이 끊기면 key 를 삭제함
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
+    res.once('finish', () => {
+      const saving =
+        res.statusCode >= 500
+          ? IdempotencyKeyService.deleteKey(userId, key)
+          : IdempotencyKeyService.saveResponse(userId, key, res.statusCode, responseBody);
+      saving.catch(error => console.error(error));
+    });
+    res.once('close', () => {
+      if (res.writableFinished) return;
+      IdempotencyKeyService.deleteKey(userId, key).catch(error => console.error(error));
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
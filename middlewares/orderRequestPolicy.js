@@ -0,0 +1,118 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const { PARTY, getParties } = require('../utils/orderRequestStatus');
+const createError = require('../utils/createError');
+
+// orderType 별 request 조회 방법과 order를 올린 사람(owner) / 요청을 보낸 사람(requester)
+const resolvers = {
+  shopper: {
+    getOrderRequestById: requestId => ShopperService.getOrderRequestById(requestId),
+    getOrder: request => request.shopperOrder,
+    getMembers: (request, order) => ({
+      shopperId: order.shopperId,
+      runnerId: request.runnerId,
+      ownerId: order.shopperId,
+    }),
+  },
+  runner: {
+    getOrderRequestById: requestId => RunnerService.getOrderRequestById(requestId),
+    getOrder: request => request.runnerOrder,
+    getMembers: (request, order) => ({
+      shopperId: request.shopperId,
+      runnerId: order.runnerId,
+      ownerId: order.runnerId,
+    }),
+  },
+};
+
+const isAdmin = decoded => decoded.role === 'ADMIN';
+
+// 거래 당사자 혹은 admin 만 볼 수 있는 request 필드 - 배달 증빙 / 분쟁 / 취소 정보
+const PRIVATE_FIELDS = [
+  'deliveryProof',
+  'disputeReason',
+  'disputedAt',
+  'disputeResolution',
+  'disputeResolvedBy',
+  'disputeResolvedAt',
+  'canceledBy',
+  'cancelReasonCode',
+  'cancelReason',
+  'cancelPenalty',
+  'cancelFee',
+  'canceledAt',
+];
+
+/**
+ * request 의 거래 당사자 / 요청한 유저의 party 정보 - orderRequestPolicy 에서 req.orderRequest 로 저장하는 값
+ * request 에는 order(shopperOrder / runnerOrder)가 포함되어 있어야 함
+ * @param {'shopper' | 'runner'} orderType
+ * @param {object} request
+ * @param {{ userId: number, role?: string }} decoded 요청한 유저
+ */
+const getOrderRequest = (orderType, request, decoded) => {
+  const resolver = resolvers[orderType];
+  const order = resolver.getOrder(request);
+  const members = resolver.getMembers(request, order);
+  const parties = getParties(decoded.userId, members);
+  const admin = isAdmin(decoded);
+
+  return {
+    request,
+    order,
+    ...members,
+    parties: admin ? Object.values(PARTY) : parties,
+    isAdmin: admin,
+  };
+};
+
+/**
+ * 목록 조회 결과의 request - 거래 당사자 혹은 admin 이 아니면 PRIVATE_FIELDS 를 제외함
+ * request 에 order 가 포함되어 있지 않으면 order 를 함께 넘겨야 함
+ * @param {'shopper' | 'runner'} orderType
+ * @param {object} request
+ * @param {{ userId: number, role?: string }} decoded 요청한 유저
+ * @param {object} order
+ */
+const toVisibleRequest = (orderType, request, decoded, order) => {
+  const resolver = resolvers[orderType];
+  const members = resolver.getMembers(request, order || resolver.getOrder(request) || {});
+  if (isAdmin(decoded) || getParties(decoded.userId, members).length > 0) return request;
+
+  const visible = Object.assign({}, request.toJSON ? request.toJSON() : request);
+  PRIVATE_FIELDS.forEach(field => delete visible[field]);
+  return visible;
+};
+
+/**
+ * request 를 조회하고 거래 당사자(shopper, runner) 혹은 admin 인지 확인 - socket 처럼 middleware 를 쓸 수 없는 곳에서 사용
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} requestId
+ * @param {{ userId: number, role?: string }} decoded 요청한 유저
+ */
+const loadOrderRequest = async (orderType, requestId, decoded) => {
+  const request = await resolvers[orderType].getOrderRequestById(requestId);
+  if (!request) throw new Error('ORDER.REQUEST_NOT_FOUND');
+
+  const orderRequest = getOrderRequest(orderType, request, decoded);
+  if (orderRequest.parties.length === 0) throw createError('AUTH.FORBIDDEN', 403);
+  return orderRequest;
+};
+
+/**
+ * /{orderType}/orders/requests/{requestId} 접근 권한 확인
+ * 거래 당사자(shopper, runner) 혹은 admin 만 통과하며 조회한 정보는 req.orderRequest 에 저장됨
+ * @param {'shopper' | 'runner'} orderType
+ */
+module.exports = orderType => async (req, res, next) => {
+  try {
+    req.orderRequest = await loadOrderRequest(orderType, req.params.requestId, req.decoded);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports.getOrderRequest = getOrderRequest;
+module.exports.loadOrderRequest = loadOrderRequest;
+module.exports.toVisibleRequest = toVisibleRequest;
@@ -0,0 +1,17 @@
+/**
+ * 이벤트 handler 의 결과를 HTTP 응답과 같은 형식으로 ack 에 전달
+ * ack: { success: true, data } / { success: false, message: 'DOMAIN.ERROR_CODE' }
+ * @param {(data: object) => Promise<object>} handler
+ */
+const withAck = handler => async (data, ack) => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+
+  try {
+    respond({ success: true, data: await handler(data || {}) });
+  } catch (error) {
+    if (!error.status) console.error(error);
+    respond({ success: false, message: error.message });
+  }
+};
+
+module.exports = withAck;
@@ -0,0 +1,69 @@
+const UserService = require('../services/user.service');
+const { sendMessage } = require('../utils/chattingMessage');
+const { getUserSocketRoom, getMemberRoom, getMemberIds } = require('../utils/chattingRoom');
+const { isTrackingRoom } = require('../utils/runnerLocation');
+const { getPresence } = require('./presence');
+const withAck = require('./ack');
+
+/**
+ * 채팅 socket 이벤트
+ * - joinRoom { roomKey }: 멤버인 채팅방에만 들어갈 수 있음, 멤버들의 접속 상태를 돌려줌
+ * - leaveRoom { roomKey }: 채팅방 이벤트 받지 않기 (채팅방 멤버에서 나가는 것은 아님)
+ * - sendMessage { roomKey, type, message, payload }: /chatting/sendMessage 와 같음
+ * - typing { roomKey, isTyping }: 채팅방의 다른 socket 에 'typing' 으로 전달
+ * @param {object} io
+ * @param {object} socket
+ */
+module.exports = (io, socket) => {
+  const userId = socket.decoded.userId;
+
+  const emitTyping = (roomKey, isTyping) =>
+    socket.to(roomKey).emit('typing', { roomKey, userId, isTyping });
+
+  // joinRoom 으로 들어간 채팅방 (socket 자신의 room, 유저 room, 위치 구독 room 제외)
+  const isJoined = roomKey =>
+    roomKey !== socket.id &&
+    roomKey !== getUserSocketRoom(userId) &&
+    !isTrackingRoom(String(roomKey)) &&
+    socket.rooms.has(roomKey);
+
+  socket.on(
+    'joinRoom',
+    withAck(async ({ roomKey }) => {
+      const chattingRoom = await getMemberRoom(roomKey, userId);
+      socket.join(roomKey);
+
+      const users = await UserService.getUserByIds(await getMemberIds(chattingRoom.roomId));
+      return { chattingRoom, presence: getPresence(users) };
+    }),
+  );
+
+  socket.on(
+    'leaveRoom',
+    withAck(async ({ roomKey }) => {
+      emitTyping(roomKey, false);
+      socket.leave(roomKey);
+      return {};
+    }),
+  );
+
+  socket.on(
+    'sendMessage',
+    withAck(async ({ roomKey, type, message, payload }) => {
+      const chattingMessage = await sendMessage(io, { roomKey, userId, type, message, payload });
+      emitTyping(roomKey, false);
+      return { chattingMessage };
+    }),
+  );
+
+  socket.on('typing', ({ roomKey, isTyping } = {}) => {
+    if (isJoined(roomKey)) emitTyping(roomKey, !!isTyping);
+  });
+
+  // 연결이 끊기면 입력 중 표시를 지움
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach(roomKey => {
+      if (isJoined(roomKey)) emitTyping(roomKey, false);
+    });
+  });
+};
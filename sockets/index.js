@@ -0,0 +1,64 @@
+const AuthService = require('../services/auth.service');
+const createError = require('../utils/createError');
+const { getUserSocketRoom } = require('../utils/chattingRoom');
+const { getSessionSocketRoom, assertActiveSession } = require('../utils/session');
+const presence = require('./presence');
+const chattingSocket = require('./chatting.socket');
+const locationSocket = require('./location.socket');
+
+// handshake 의 auth.token 혹은 Authorization header 에서 access token 을 꺼냄
+const getToken = handshake => {
+  const token = (handshake.auth && handshake.auth.token) || handshake.headers.authorization;
+  return token ? token.replace(/^Bearer\s+/i, '') : null;
+};
+
+// 만료 / 변조된 token 은 AUTH.INVALID_TOKEN
+const verifyToken = async token => {
+  try {
+    return await AuthService.verifyAccessToken(token);
+  } catch (error) {
+    throw createError('AUTH.INVALID_TOKEN', 401);
+  }
+};
+
+// authMiddleware 와 같은 access token 으로 인증, 로그아웃 된 세션의 token 은 사용할 수 없음
+const authenticate = async (socket, next) => {
+  try {
+    const token = getToken(socket.handshake);
+    if (!token) throw createError('AUTH.INVALID_TOKEN', 401);
+
+    const decoded = await verifyToken(token);
+    await assertActiveSession(decoded.sessionId);
+
+    socket.decoded = decoded;
+    next();
+  } catch (error) {
+    // 클라이언트의 connect_error 에 error.message 와 data 가 전달됨
+    error.data = { success: false, message: error.message };
+    next(error);
+  }
+};
+
+/**
+ * socket.io 서버에 인증 / 이벤트 등록 - app 에서 req.io 로 넘기는 서버와 같은 서버를 넘김
+ * @param {object} io socket.io 서버
+ */
+module.exports = io => {
+  io.use(authenticate);
+
+  io.on('connection', socket => {
+    const userId = socket.decoded.userId;
+
+    // 채팅방 멤버가 바뀌었을 때 유저의 socket 을 찾기 위해 사용
+    socket.join(getUserSocketRoom(userId));
+    // 세션이 로그아웃 되면 이 room 으로 socket 을 끊음
+    socket.join(getSessionSocketRoom(socket.decoded.sessionId));
+    chattingSocket(io, socket);
+    locationSocket(io, socket);
+
+    presence.connect(io, userId).catch(error => console.error(error));
+    socket.on('disconnect', () => {
+      presence.disconnect(io, userId).catch(error => console.error(error));
+    });
+  });
+};
@@ -0,0 +1,57 @@
+const { loadOrderRequest } = require('../middlewares/orderRequestPolicy');
+const {
+  getTrackingRoom,
+  assertTrackable,
+  recordLocation,
+  getLatestLocation,
+} = require('../utils/runnerLocation');
+const createError = require('../utils/createError');
+const withAck = require('./ack');
+
+const ORDER_TYPES = ['shopper', 'runner'];
+
+/**
+ * runner 위치 공유 socket 이벤트 - 매칭 후 배달 완료 전(MATCHED, DELIVERED_REQUEST)인 request 만 가능
+ * - subscribeLocation { orderType, requestId }: 거래 당사자 / admin 이 'runnerLocation' 받기, 마지막 위치와 ETA 를 돌려줌
+ * - unsubscribeLocation { orderType, requestId }: 위치 받지 않기
+ * - updateLocation { orderType, requestId, lat, lng, accuracy, heading }: runner 의 현재 위치 보내기
+ * @param {object} io
+ * @param {object} socket
+ */
+module.exports = (io, socket) => {
+  const loadTrackable = async ({ orderType, requestId }) => {
+    if (ORDER_TYPES.indexOf(orderType) < 0) throw createError('ORDER.INVALID_ORDER_TYPE', 400);
+
+    const orderRequest = await loadOrderRequest(orderType, requestId, socket.decoded);
+    assertTrackable(orderRequest);
+    return orderRequest;
+  };
+
+  socket.on(
+    'subscribeLocation',
+    withAck(async data => {
+      const orderRequest = await loadTrackable(data);
+      socket.join(getTrackingRoom(data.orderType, orderRequest.request.requestId));
+
+      return getLatestLocation(data.orderType, orderRequest);
+    }),
+  );
+
+  socket.on(
+    'unsubscribeLocation',
+    withAck(async ({ orderType, requestId }) => {
+      socket.leave(getTrackingRoom(orderType, requestId));
+      return {};
+    }),
+  );
+
+  socket.on(
+    'updateLocation',
+    withAck(async data => {
+      const orderRequest = await loadTrackable(data);
+      const { lat, lng, accuracy, heading } = data;
+
+      return recordLocation(io, data.orderType, orderRequest, { lat, lng, accuracy, heading });
+    }),
+  );
+};
@@ -0,0 +1,61 @@
+const UserService = require('../services/user.service');
+const ChattingService = require('../services/chatting.service');
+
+// userId 별 연결된 socket 수 - 서버 한 대 기준으로 메모리에 저장됨
+const connections = new Map();
+
+const isOnline = userId => connections.has(userId);
+
+// 유저가 속한 모든 채팅방에 접속 상태 변경을 전달
+const broadcast = async (io, presence) => {
+  const roomKeys = await ChattingService.getRoomKeysByUserId(presence.userId);
+  if (roomKeys.length > 0) io.to(roomKeys).emit('presence', presence);
+};
+
+/**
+ * 유저 목록의 접속 상태 - { userId, online, lastSeenAt }
+ * @param {object[]} users lastSeenAt 을 가진 유저 목록
+ */
+const getPresence = users =>
+  users.map(user => ({
+    userId: user.userId,
+    online: isOnline(user.userId),
+    lastSeenAt: user.lastSeenAt || null,
+  }));
+
+/**
+ * socket 연결 - 첫 번째 연결이면 online 으로 전달
+ * @param {object} io
+ * @param {number} userId
+ */
+const connect = async (io, userId) => {
+  const count = connections.get(userId) || 0;
+  connections.set(userId, count + 1);
+
+  if (count === 0) await broadcast(io, { userId, online: true, lastSeenAt: null });
+};
+
+/**
+ * socket 연결 끊김 - 마지막 연결이면 lastSeenAt 을 저장하고 offline 으로 전달
+ * @param {object} io
+ * @param {number} userId
+ */
+const disconnect = async (io, userId) => {
+  const count = (connections.get(userId) || 1) - 1;
+  if (count > 0) {
+    connections.set(userId, count);
+    return;
+  }
+
+  connections.delete(userId);
+  const lastSeenAt = new Date();
+  await UserService.updateUser({ userId, lastSeenAt });
+  await broadcast(io, { userId, online: false, lastSeenAt });
+};
+
+module.exports = {
+  isOnline,
+  getPresence,
+  connect,
+  disconnect,
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// access token 은 짧게 유지하고 refresh token 으로 재발급 받음
+const ACCESS_TOKEN_EXPIRES_IN = '15m';
+const REFRESH_TOKEN_EXPIRES_IN = 1000 * 60 * 60 * 24 * 30;
+
+// 메일로 보내는 1회용 token
+const EMAIL_TOKEN_EXPIRES_IN = {
+  VERIFY_EMAIL: 1000 * 60 * 60 * 24,
+  RESET_PASSWORD: 1000 * 60 * 60,
+};
+
+// refresh token, 메일 token 은 jwt 가 아닌 임의의 문자열이며 DB에는 hash 값만 저장함
+const generateToken = () => crypto.randomBytes(48).toString('base64').replace(/[+/=]/g, '');
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenExpiresAt = (now = new Date()) =>
+  new Date(now.getTime() + REFRESH_TOKEN_EXPIRES_IN);
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  EMAIL_TOKEN_EXPIRES_IN,
+  generateToken,
+  hashToken,
+  getRefreshTokenExpiresAt,
+};
@@ -0,0 +1,150 @@
+const UserService = require('../services/user.service');
+const AvailabilityService = require('../services/availability.service');
+const { body } = require('express-validator');
+const { TIME_PATTERN } = require('./listQuery');
+const { DAY_MINUTES, toInterval } = require('./orderWindow');
+const { getZonedParts, toDateKey } = require('./timeZone');
+const createError = require('./createError');
+
+// 0: 일요일 ~ 6: 토요일 (Date.getDay 와 같음), 요일 / 날짜 / 시간은 서비스 시간대(SERVICE_TIME_ZONE) 기준
+const DAYS_OF_WEEK = [0, 1, 2, 3, 4, 5, 6];
+const MAX_SLOTS = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 주간 활동 시간 body 검증 - { slots: [{ dayOfWeek, startTime, endTime }] }, 22:00 ~ 02:00 처럼 자정을 넘을 수 있음
+const slotsBody = [
+  body('slots')
+    .custom(
+      slots =>
+        Array.isArray(slots) &&
+        slots.length <= MAX_SLOTS &&
+        slots.every(
+          slot =>
+            slot &&
+            DAYS_OF_WEEK.indexOf(slot.dayOfWeek) > -1 &&
+            TIME_PATTERN.test(slot.startTime) &&
+            TIME_PATTERN.test(slot.endTime),
+        ),
+    )
+    .withMessage(`slots is Array of { dayOfWeek: 0 ~ 6, startTime, endTime } (max ${MAX_SLOTS})`),
+];
+
+// 특정 날짜의 예외 body 검증 - available 이 false 면 하루 종일 쉼, true 면 startTime ~ endTime 에만 활동 (둘 다 필수)
+const exceptionBody = [
+  body('date').matches(DATE_PATTERN).withMessage('date is YYYY-MM-DD'),
+  body('available').isBoolean().toBoolean(),
+  body('startTime')
+    .if(body('available').equals('true'))
+    .matches(TIME_PATTERN)
+    .withMessage('startTime is required when available is true'),
+  body('endTime')
+    .if(body('available').equals('true'))
+    .matches(TIME_PATTERN)
+    .withMessage('endTime is required when available is true'),
+  body('startTime').matches(TIME_PATTERN).optional(),
+  body('endTime').matches(TIME_PATTERN).optional(),
+  body('reason').isString().trim().isLength({ max: 200 }).optional(),
+];
+
+// 그 날 시작하는 시간대에 포함되는지 - 자정을 넘은 부분은 다음 날에서 확인함
+const isWithin = (window, minutes) => {
+  const [start, end] = toInterval(window);
+  return start <= minutes && minutes < end;
+};
+
+/**
+ * at 시각에 활동 중인지 확인 (서비스 시간대 기준)
+ * - 그 날짜의 예외가 있으면 예외만 확인
+ * - 주간 활동 시간을 하나도 등록하지 않았으면 항상 활동 중
+ * - 전날 시작해서 자정을 넘는 활동 시간도 포함
+ * @param {{ slots: object[], exceptions: object[] }} availability
+ * @param {Date} at
+ */
+const isAvailableAt = ({ slots, exceptions }, at) => {
+  const { hours, minutes: minute, dayOfWeek: day } = getZonedParts(at);
+  const minutes = hours * 60 + minute;
+
+  const exception = exceptions.find(item => item.date === toDateKey(at));
+  if (exception) {
+    return exception.available && isWithin([exception.startTime, exception.endTime], minutes);
+  }
+  if (slots.length === 0) return true;
+
+  const prevDay = (day + 6) % 7;
+  return slots.some(slot => {
+    const window = [slot.startTime, slot.endTime];
+    if (slot.dayOfWeek === day) return isWithin(window, minutes);
+    // 전날 시작한 시간대는 자정을 넘은 부분만 확인
+    return slot.dayOfWeek === prevDay && minutes + DAY_MINUTES < toInterval(window)[1];
+  });
+};
+
+// 유저가 없으면 null
+const findAvailability = async (userId, now) => {
+  const user = await UserService.getUserById(userId);
+  if (!user) return null;
+
+  const slots = await AvailabilityService.getSlots(userId);
+  const exceptions = await AvailabilityService.getExceptions(userId, { from: toDateKey(now) });
+  // onDuty 를 한 번도 바꾸지 않은 유저는 근무 중
+  return { onDuty: user.onDuty !== false, slots, exceptions };
+};
+
+/**
+ * 유저의 근무 상태와 활동 시간 - { onDuty, slots, exceptions }
+ * exceptions 는 오늘 이후의 예외만 포함
+ * @param {number} userId
+ * @param {Date} now
+ */
+const getAvailability = async (userId, now = new Date()) => {
+  const availability = await findAvailability(userId, now);
+  if (!availability) throw new Error('USER.USER_NOT_FOUND');
+  return availability;
+};
+
+/**
+ * runner 가 지금 요청을 받을 수 있는지 확인
+ * 근무 중이 아니면 RUNNER.OFF_DUTY, 활동 시간이 아니면 RUNNER.OUTSIDE_AVAILABILITY 에러
+ * @param {number} runnerId
+ * @param {Date} now
+ */
+const assertRunnerAvailable = async (runnerId, now = new Date()) => {
+  const availability = await getAvailability(runnerId, now);
+  if (!availability.onDuty) throw createError('RUNNER.OFF_DUTY', 409);
+  if (!isAvailableAt(availability, now)) throw createError('RUNNER.OUTSIDE_AVAILABILITY', 409);
+};
+
+/**
+ * runnerIds 중 지금 요청을 받을 수 있는 runner 의 id 목록 - runner 수와 관계없이 유저 / 활동 시간 / 예외를 한 번씩 조회함
+ * @param {number[]} runnerIds
+ * @param {Date} now
+ */
+const filterAvailableRunnerIds = async (runnerIds, now = new Date()) => {
+  const uniqueIds = Array.from(new Set(runnerIds));
+  if (uniqueIds.length === 0) return [];
+
+  const users = await UserService.getUsersByIds(uniqueIds);
+  const onDutyIds = users.filter(user => user.onDuty !== false).map(user => user.userId);
+  if (onDutyIds.length === 0) return [];
+
+  const slots = await AvailabilityService.getSlotsByUserIds(onDutyIds);
+  const exceptions = await AvailabilityService.getExceptionsByUserIds(onDutyIds, {
+    from: toDateKey(now),
+  });
+  const ofUser = (items, userId) => items.filter(item => +item.userId === +userId);
+
+  return uniqueIds.filter(
+    id =>
+      onDutyIds.some(userId => +userId === +id) &&
+      isAvailableAt({ slots: ofUser(slots, id), exceptions: ofUser(exceptions, id) }, now),
+  );
+};
+
+module.exports = {
+  slotsBody,
+  exceptionBody,
+  isAvailableAt,
+  getAvailability,
+  assertRunnerAvailable,
+  filterAvailableRunnerIds,
+};
@@ -0,0 +1,25 @@
+const BlockService = require('../services/block.service');
+const createError = require('./createError');
+
+/**
+ * userId 가 차단했거나 userId 를 차단한 유저 id 목록 - 차단은 양쪽 모두에게 적용됨
+ * @param {number} userId
+ */
+const getBlockedUserIds = userId => BlockService.getBlockedUserIds(userId);
+
+/**
+ * userIds 중 userId 와 차단 관계인 유저가 있으면 USER.BLOCKED 에러 - 누가 차단했는지는 알려주지 않음
+ * @param {number} userId
+ * @param {number[]} userIds
+ */
+const assertNotBlocked = async (userId, userIds) => {
+  const blockedUserIds = await getBlockedUserIds(userId);
+  if (userIds.some(id => blockedUserIds.indexOf(+id) > -1)) {
+    throw createError('USER.BLOCKED', 403);
+  }
+};
+
+module.exports = {
+  getBlockedUserIds,
+  assertNotBlocked,
+};
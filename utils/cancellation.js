@@ -0,0 +1,118 @@
+const StrikeService = require('../services/strike.service');
+const OrderRequestHistoryService = require('../services/orderRequestHistory.service');
+const { body } = require('express-validator');
+const { PARTY } = require('./orderRequestStatus');
+const { FREE_PAYMENTS } = require('./escrow');
+const { getUserSocketRoom } = require('./chattingRoom');
+const createError = require('./createError');
+
+const CANCEL_REASON = [
+  'CHANGED_MIND',
+  'ITEM_UNAVAILABLE',
+  'TOO_LATE',
+  'NO_RESPONSE',
+  'PRICE_CHANGED',
+  'SAFETY',
+  'OTHER',
+];
+
+// 취소 시 적용되는 불이익 - FEE: shopper 가 러너 팁의 일부를 runner 에게 지급, STRIKE: runner 에게 경고 누적
+const CANCEL_PENALTY = {
+  NONE: 'NONE',
+  FEE: 'FEE',
+  STRIKE: 'STRIKE',
+};
+const CANCEL_FEE_RATE = 0.5;
+// 매칭 후 이 시간 안에는 불이익 없이 취소할 수 있음
+const FREE_CANCEL_MINUTES = 5;
+// 취소할 수 있는 request 상태 - DELIVERED_REQUEST 부터는 취소할 수 없음
+const CANCELABLE_STATUS = ['REQUESTING', 'MATCHED'];
+// order 를 취소할 때 확인할 (아직 끝나지 않은) request 상태
+const ACTIVE_STATUS = ['REQUESTING', 'MATCHED', 'DELIVERED_REQUEST', 'DISPUTED'];
+
+// 취소 body 검증 - 라우트의 validator 목록에 펼쳐서 사용, OTHER 는 reason 을 직접 적어야 함
+const cancelBody = [
+  body('reasonCode').isIn(CANCEL_REASON).withMessage(`reasonCode is one of [${CANCEL_REASON}]`),
+  body('reason').isString().trim().isLength({ max: 500 }).optional(),
+  body('reason')
+    .if(body('reasonCode').equals('OTHER'))
+    .notEmpty()
+    .withMessage('reason is required when reasonCode is OTHER'),
+];
+
+const NO_PENALTY = { penalty: CANCEL_PENALTY.NONE, cancelFee: 0, strikeUserId: null };
+
+// 마지막으로 MATCHED 가 된 시각 - updatedAt 은 상태 외의 값이 바뀌어도 갱신되므로 상태 이력에서 찾음
+const getMatchedAt = async ({ orderType, requestId }, request) => {
+  const histories = await OrderRequestHistoryService.getHistories(orderType, requestId);
+  const matched = histories.filter(history => history.toStatus === 'MATCHED').pop();
+  // 이력이 없는 request 는 updatedAt 을 사용
+  return new Date(matched ? matched.createdAt : request.updatedAt);
+};
+
+/**
+ * 요청한 유저가 request 를 취소할 때 적용되는 불이익
+ * - REQUESTING: 불이익 없음
+ * - MATCHED: 매칭 후 FREE_CANCEL_MINUTES 가 지나면 shopper 는 러너 팁의 CANCEL_FEE_RATE 만큼 취소 수수료, runner 는 경고(strike)
+ * - admin 이 취소하면 불이익 없음, 그 외 상태는 ORDER.CANCEL_NOT_ALLOWED 에러
+ * @param {object} orderRequest orderRequestPolicy 의 req.orderRequest
+ * @param {object} orderEscrow escrow.getEscrow 의 결과
+ * @param {Date} now
+ */
+const getCancelPolicy = async (orderRequest, orderEscrow, now = new Date()) => {
+  const { request, parties, isAdmin, runnerId } = orderRequest;
+  if (CANCELABLE_STATUS.indexOf(request.requestStatus) < 0) {
+    throw createError('ORDER.CANCEL_NOT_ALLOWED', 409);
+  }
+  if (request.requestStatus === 'REQUESTING' || isAdmin) return NO_PENALTY;
+
+  const matchedAt = await getMatchedAt(orderEscrow, request);
+  if (now - matchedAt < FREE_CANCEL_MINUTES * 60 * 1000) return NO_PENALTY;
+
+  if (parties.indexOf(PARTY.SHOPPER) > -1) {
+    const isFree = orderEscrow.method === FREE_PAYMENTS;
+    const cancelFee = isFree ? 0 : Math.floor(orderEscrow.tipAmount * CANCEL_FEE_RATE);
+    return cancelFee > 0
+      ? { penalty: CANCEL_PENALTY.FEE, cancelFee, strikeUserId: null }
+      : NO_PENALTY;
+  }
+  return { penalty: CANCEL_PENALTY.STRIKE, cancelFee: 0, strikeUserId: runnerId };
+};
+
+/**
+ * 취소 불이익 중 경고(strike)를 저장
+ * @param {object} policy getCancelPolicy 의 결과
+ * @param {{ orderType: string, requestId: number, reasonCode: string }} cancellation
+ */
+const applyPenalty = async (policy, { orderType, requestId, reasonCode }) => {
+  if (policy.penalty !== CANCEL_PENALTY.STRIKE) return null;
+  return StrikeService.createStrike({
+    userId: policy.strikeUserId,
+    orderType,
+    requestId,
+    reasonCode,
+  });
+};
+
+/**
+ * 거래 당사자 모두에게 'orderRequestCanceled' 이벤트로 취소를 알림
+ * @param {object} io
+ * @param {{ shopperId: number, runnerId: number }} members
+ * @param {object} cancellation request 에 저장된 취소 정보와 orderType, orderId, requestId
+ */
+const notifyCanceled = (io, { shopperId, runnerId }, cancellation) => {
+  io.to([getUserSocketRoom(shopperId), getUserSocketRoom(runnerId)]).emit(
+    'orderRequestCanceled',
+    cancellation,
+  );
+};
+
+module.exports = {
+  CANCEL_REASON,
+  CANCEL_PENALTY,
+  ACTIVE_STATUS,
+  cancelBody,
+  getCancelPolicy,
+  applyPenalty,
+  notifyCanceled,
+};
@@ -0,0 +1,170 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const ChattingService = require('../services/chatting.service');
+const createError = require('./createError');
+const { toUploadedFiles } = require('./uploadedFile');
+const { ROOM_TYPE, getMemberRoom, getMemberIds } = require('./chattingRoom');
+const { assertNotBlocked } = require('./block');
+
+// 클라이언트가 보낼 수 있는 메세지 타입, SYSTEM 은 서버에서만 생성함
+const MESSAGE_TYPE = ['TEXT', 'IMAGE', 'LOCATION', 'ORDER'];
+const SYSTEM_MESSAGE_TYPE = 'SYSTEM';
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_IMAGES = 10;
+
+const invalidPayload = () => createError('CHATTING.INVALID_MESSAGE_PAYLOAD', 400);
+
+const isCoordinate = (value, max) => typeof value === 'number' && Math.abs(value) <= max;
+
+// order card 에 보여줄 order 정보 - 보낸 시점의 order 를 저장함
+const orderCards = {
+  shopper: async orderId => {
+    const order = await ShopperService.getOrderById(orderId);
+    return (
+      order && {
+        title: order.title,
+        price: order.estimatedPrice,
+        runnerTip: order.runnerTip,
+        status: order.status,
+      }
+    );
+  },
+  runner: async orderId => {
+    const order = await RunnerService.getOrderById(orderId);
+    return (
+      order && {
+        title: order.message,
+        price: null,
+        runnerTip: null,
+        status: order.status,
+      }
+    );
+  },
+};
+
+// 타입별 payload 검증 후 저장할 message(목록 / 검색에 쓰이는 텍스트)와 payload 를 만듦
+const builders = {
+  TEXT: async ({ message }) => {
+    if (typeof message !== 'string' || !message.trim()) throw invalidPayload();
+    return { message, payload: null };
+  },
+  // payload: { files: [{ path }] } - 보낸 유저가 /upload/chattingImages 로 업로드한 파일
+  IMAGE: async ({ message, payload, userId }) => {
+    const files = await toUploadedFiles(payload.files, MAX_IMAGES, {
+      userId,
+      type: 'chattingImages',
+    });
+    if (!files) throw invalidPayload();
+
+    return { message: message || '사진', payload: { files } };
+  },
+  // payload: { lat, lng, address? }
+  LOCATION: async ({ message, payload }) => {
+    const { lat, lng, address } = payload;
+    if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) throw invalidPayload();
+    if (address !== undefined && typeof address !== 'string') throw invalidPayload();
+
+    return { message: message || address || '위치', payload: { lat, lng, address } };
+  },
+  // payload: { orderType: 'shopper' | 'runner', orderId }
+  ORDER: async ({ message, payload }) => {
+    const { orderType, orderId } = payload;
+    // 'constructor' 같은 prototype 의 key 는 허용하지 않음
+    if (!Object.prototype.hasOwnProperty.call(orderCards, orderType)) throw invalidPayload();
+    if (!Number.isInteger(orderId)) throw invalidPayload();
+
+    const order = await orderCards[orderType](orderId);
+    if (!order) throw new Error('ORDER.ORDER_NOT_FOUND');
+
+    return { message: message || order.title, payload: { orderType, orderId, order } };
+  },
+};
+
+/**
+ * 메세지 타입별로 검증하여 저장할 { type, message, payload } 를 만듦 - HTTP / socket 에서 함께 사용
+ * @param {{ type?: string, message?: string, payload?: object, userId: number }} input userId 는 보낸 유저
+ */
+const buildMessage = async ({ type = 'TEXT', message, payload, userId }) => {
+  const build = MESSAGE_TYPE.indexOf(type) > -1 && builders[type];
+  if (!build) throw createError('CHATTING.INVALID_MESSAGE_TYPE', 400);
+  if (message !== undefined && typeof message !== 'string') throw invalidPayload();
+  if (message && message.length > MAX_MESSAGE_LENGTH) throw invalidPayload();
+
+  return Object.assign({ type }, await build({ message, payload: payload || {}, userId }));
+};
+
+/**
+ * 클라이언트에 전달할 메세지 - 삭제된 메세지는 내용을 숨기고 (원본은 분쟁 확인을 위해 DB에 남아있음) 수정 여부를 붙임
+ * @param {object} chattingMessage
+ */
+const toClientMessage = chattingMessage => {
+  const message = chattingMessage.toJSON ? chattingMessage.toJSON() : chattingMessage;
+  return Object.assign(message, {
+    message: message.deletedAt ? null : message.message,
+    isEdited: !!message.editedAt,
+    isDeleted: !!message.deletedAt,
+  });
+};
+
+/**
+ * 검색 결과에 보여줄 text 의 일부 - 첫 번째 keyword 앞뒤로 length 만큼 자르고 snippet 안의 keyword 위치를 [start, end] 로 돌려줌
+ * @param {string} text
+ * @param {string} keyword
+ * @param {number} length
+ */
+const getSnippet = (text, keyword, length = 30) => {
+  const lowerText = text.toLowerCase();
+  const lowerKeyword = keyword.toLowerCase();
+  const index = Math.max(lowerText.indexOf(lowerKeyword), 0);
+
+  const start = Math.max(index - length, 0);
+  const end = Math.min(index + keyword.length + length, text.length);
+  const prefix = start > 0 ? '...' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+
+  const highlights = [];
+  const lowerSnippet = snippet.toLowerCase();
+  for (let i = lowerSnippet.indexOf(lowerKeyword); i > -1; ) {
+    highlights.push([i, i + keyword.length]);
+    i = lowerSnippet.indexOf(lowerKeyword, i + keyword.length);
+  }
+
+  return { snippet, highlights };
+};
+
+/**
+ * roomKey 채팅방에 메세지를 저장하고 socket 으로 전달 - HTTP(/chatting/sendMessage) / socket('sendMessage') 에서 함께 사용
+ * @param {object} io socket.io 서버
+ * @param {{ roomKey: string, userId: number, type?: string, message?: string, payload?: object }} input
+ */
+const sendMessage = async (io, { roomKey, userId, type, message, payload }) => {
+  const chattingRoom = await getMemberRoom(roomKey, userId);
+  // GROUP 채팅방은 차단한 유저의 메세지를 클라이언트에서 숨김
+  if (chattingRoom.type !== ROOM_TYPE.GROUP) {
+    await assertNotBlocked(userId, await getMemberIds(chattingRoom.roomId));
+  }
+
+  const built = await buildMessage({ type, message, payload, userId });
+  const chattingMessage = await ChattingService.createMessage(
+    userId,
+    built.message,
+    chattingRoom.roomId,
+    built.type,
+    built.payload,
+  );
+
+  // 보낸 메세지는 보낸 사람이 읽은 것으로 처리
+  await ChattingService.updateLastRead(chattingRoom.roomId, userId, chattingMessage.messageId);
+
+  io.sockets.in(roomKey).emit('message', toClientMessage(chattingMessage));
+  return chattingMessage;
+};
+
+module.exports = {
+  MESSAGE_TYPE,
+  SYSTEM_MESSAGE_TYPE,
+  buildMessage,
+  toClientMessage,
+  getSnippet,
+  sendMessage,
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const ChattingService = require('../services/chatting.service');
+const createError = require('./createError');
+
+// DIRECT: 1:1 채팅방 (같은 두 사람은 하나만 가짐), GROUP: 멤버를 추가 / 삭제할 수 있는 채팅방
+// ORDER: order 에 연결된 채팅방 (같은 멤버라도 order 마다 따로 만들어짐)
+const ROOM_TYPE = {
+  DIRECT: 'DIRECT',
+  GROUP: 'GROUP',
+  ORDER: 'ORDER',
+};
+
+/**
+ * 멤버와 상관없는 채팅방 key 생성 - 이전에 만들어진 채팅방은 '1-2' 형식의 key 를 그대로 사용함
+ */
+const generateRoomKey = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * 유저의 모든 socket 이 들어가는 socket.io room - 채팅방 멤버가 바뀌면 이 room 으로 join / leave 시킴
+ * @param {number} userId
+ */
+const getUserSocketRoom = userId => `user:${userId}`;
+
+/**
+ * 중복을 제거한 숫자 id 목록
+ * @param {Array<number | string>} userIds
+ */
+const toUserIds = userIds => [...new Set(userIds.map(userId => +userId))];
+
+/**
+ * roomKey 채팅방 조회 - 채팅방이 없거나 userId 가 멤버가 아니면 에러
+ * @param {string} roomKey
+ * @param {number} userId
+ */
+const getMemberRoom = async (roomKey, userId) => {
+  const chattingRoom = await ChattingService.getRoomByRoomKey(roomKey);
+  if (!chattingRoom) throw new Error('CHATTING.INVALID_ROOMKEY');
+
+  const member = await ChattingService.getMember(chattingRoom.roomId, userId);
+  if (!member) throw createError('CHATTING.NOT_ROOM_MEMBER', 403);
+
+  return chattingRoom;
+};
+
+/**
+ * 채팅방 멤버 id 목록
+ * @param {number} roomId
+ */
+const getMemberIds = async roomId => {
+  const members = await ChattingService.getMembers(roomId);
+  return members.map(member => member.userId);
+};
+
+/**
+ * 이전 형식('1-2')의 key 로 만들어진 채팅방 조회 - 없으면 null
+ * 이전 key 는 요청한 userIds 를 문자열 순으로 정렬하고, 요청한 유저가 없으면 마지막에 붙여서 만들었음
+ * @param {Array<number | string>} requestedIds joinRoom 으로 요청한 userIds
+ * @param {number} userId 요청한 유저
+ */
+const findLegacyRoom = async (requestedIds, userId) => {
+  const userIds = requestedIds.map(id => +id).sort();
+  if (userIds.indexOf(userId) === -1) userIds.push(userId);
+  // 다른 멤버가 요청해서 만들어진 채팅방도 찾기 위해 요청한 유저까지 정렬한 key 도 확인함
+  const roomKeys = [...new Set([userIds.join('-'), userIds.slice().sort().join('-')])];
+
+  for (const roomKey of roomKeys) {
+    const chattingRoom = await ChattingService.getRoomByRoomKey(roomKey);
+    if (chattingRoom && (await ChattingService.getMember(chattingRoom.roomId, userId))) {
+      return chattingRoom;
+    }
+  }
+  return null;
+};
+
+/**
+ * 같은 멤버의 DIRECT 채팅방 / 같은 멤버, 같은 order 의 ORDER 채팅방을 조회하고 없으면 생성
+ * GROUP 채팅방은 항상 새로 만들어짐
+ * @param {{ type: string, userIds: number[], ownerId: number, title?: string, orderType?: string, orderId?: number }} room
+ */
+const getOrCreateRoom = async ({ type, userIds, ownerId, title, orderType, orderId }) => {
+  const memberIds = toUserIds(userIds);
+  const order = type === ROOM_TYPE.ORDER ? { orderType, orderId } : {};
+
+  if (type !== ROOM_TYPE.GROUP) {
+    const chattingRoom = await ChattingService.findRoom(
+      Object.assign({ type, userIds: memberIds }, order),
+    );
+    if (chattingRoom) return chattingRoom;
+  }
+
+  return ChattingService.createRoom(
+    Object.assign({ roomKey: generateRoomKey(), type, title: title || null, ownerId }, order),
+    memberIds,
+  );
+};
+
+module.exports = {
+  ROOM_TYPE,
+  getUserSocketRoom,
+  toUserIds,
+  getMemberRoom,
+  getMemberIds,
+  findLegacyRoom,
+  getOrCreateRoom,
+};
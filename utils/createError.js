@@ -0,0 +1,10 @@
+/**
+ * 에러 코드와 함께 응답할 http status 를 지정한 에러 생성
+ * @param {string} code 'DOMAIN.ERROR_CODE' 형식의 에러 코드
+ * @param {number} status http status
+ */
+module.exports = (code, status) => {
+  const error = new Error(code);
+  error.status = status;
+  return error;
+};
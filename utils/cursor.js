@@ -0,0 +1,121 @@
+// cursor 기반 페이지네이션
+// cursor 는 마지막으로 받은 항목의 정렬 필드 값을 담은 문자열이며 클라이언트는 내용을 해석하지 않고 그대로 돌려보냄
+// after: cursor 다음 항목들 (다음 페이지), before: cursor 앞의 항목들 (목록 앞쪽에 새로 추가된 항목)
+const { query } = require('express-validator');
+const createError = require('./createError');
+
+const encodeCursor = values =>
+  Buffer.from(JSON.stringify(values))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decodeCursor = cursor => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    if (values && typeof values === 'object' && !Array.isArray(values)) return values;
+  } catch (error) {
+    // 아래에서 INVALID_CURSOR 로 처리
+  }
+  throw createError('PAGINATION.INVALID_CURSOR', 400);
+};
+
+const isCursor = cursor => {
+  decodeCursor(cursor);
+  return true;
+};
+
+// before / after query 검증 - 라우트의 validator 목록에 펼쳐서 사용
+const cursorQuery = [
+  query('before').optional().custom(isCursor).withMessage('invalid cursor'),
+  query('after')
+    .optional()
+    .custom(isCursor)
+    .withMessage('invalid cursor')
+    .custom((after, { req }) => !req.query.before)
+    .withMessage('before and after cannot be used together'),
+];
+
+/**
+ * 정렬 기준 [['createdAt', 'DESC'], ...] 으로 cursor 에 담을 필드 목록을 만듦 (정렬 필드 + idField)
+ * @param {Array<[string, string]>} sort
+ * @param {string} idField 정렬 값이 같은 항목을 구분하기 위한 id 필드
+ */
+const getCursorFields = (sort, idField) => sort.map(([field]) => field).concat(idField);
+
+/**
+ * query 의 before / after 를 { before: values } 혹은 { after: values } 로 변환, 둘 다 없으면 null
+ * @param {{ before?: string, after?: string }} query
+ * @param {string[]} fields cursor 에 있어야 하는 필드 - 정렬 기준이 바뀐 cursor 는 사용할 수 없음
+ */
+const getCursor = ({ before, after }, fields) => {
+  if (!before && !after) return null;
+
+  const direction = before ? 'before' : 'after';
+  const values = decodeCursor(before || after);
+  const keys = Object.keys(values);
+  if (keys.length !== fields.length || fields.some(field => keys.indexOf(field) === -1)) {
+    throw createError('PAGINATION.INVALID_CURSOR', 400);
+  }
+
+  return { [direction]: values };
+};
+
+/**
+ * limit + 1 개를 조회한 rows 로 page 와 nextCursor 를 만듦 - 더 조회할 항목이 없으면 nextCursor 는 null
+ * @param {object[]} rows
+ * @param {number} limit
+ * @param {string[]} fields cursor 에 담을 필드 (정렬 필드 + id)
+ */
+const paginate = (rows, limit, fields) => {
+  const items = rows.slice(0, limit);
+  if (rows.length <= limit) return { items, nextCursor: null };
+
+  const last = items[items.length - 1];
+  const values = fields.reduce(
+    (cursor, field) => Object.assign(cursor, { [field]: last.get ? last.get(field) : last[field] }),
+    {},
+  );
+
+  return { items, nextCursor: encodeCursor(values) };
+};
+
+/**
+ * query 객체를 받는 목록 조회 service 에 cursor 를 적용
+ * limit + 1 개를 조회하여 result[key] 를 page 로 바꾸고 nextCursor 를 붙여서 돌려줌
+ * @param {(query: object) => Promise<object>} find 목록 조회 service
+ * @param {object} query limit, offset, before, after 를 포함한 query
+ * @param {{ key: string, fields: string[], defaultLimit?: number }} options
+ */
+const findPage = async (find, query, { key, fields, defaultLimit = 20 }) => {
+  const limit = query.limit || defaultLimit;
+  const cursor = getCursor(query, fields);
+
+  const result = await find(Object.assign({}, query, { limit: limit + 1, cursor }));
+  const { items, nextCursor } = paginate(result[key], limit, fields);
+
+  return Object.assign({}, result, { [key]: items, nextCursor });
+};
+
+/**
+ * 메모리에서 정렬한 items 에 cursor 적용 (DB 에서 정렬할 수 없는 거리순 조회 등)
+ * @param {object[]} items compare 로 정렬된 목록
+ * @param {{ before?: object, after?: object }} cursor getCursor 의 결과
+ * @param {(a: object, b: object) => number} compare 정렬에 사용한 비교 함수
+ */
+const sliceByCursor = (items, cursor, compare) => {
+  if (cursor.after) return items.filter(item => compare(item, cursor.after) > 0);
+  return items.filter(item => compare(item, cursor.before) < 0).reverse();
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorQuery,
+  getCursorFields,
+  getCursor,
+  paginate,
+  findPage,
+  sliceByCursor,
+};
@@ -0,0 +1,225 @@
+const LedgerService = require('../services/ledger.service');
+const { body } = require('express-validator');
+const paymentProvider = require('./paymentProvider');
+const createError = require('./createError');
+
+// 복식부기 계정 - 거래(transaction)마다 entry 들의 amount 합은 0 이 되어야 함 (양수: 계정 잔액 증가)
+// external: 결제 대행사를 통해 들어오고 나가는 돈, escrow: request 별로 보관 중인 돈, user: 유저가 받은 돈
+const ACCOUNT = {
+  EXTERNAL: 'external',
+  escrow: (orderType, requestId) => `escrow:${orderType}:${requestId}`,
+  user: userId => `user:${userId}`,
+};
+
+const TRANSACTION_TYPE = {
+  HOLD: 'HOLD',
+  RELEASE: 'RELEASE',
+  REFUND: 'REFUND',
+};
+
+// 결제 없이 직접 주고받는 order
+const FREE_PAYMENTS = 'FREE';
+
+// orderType 별 금액이 저장된 곳 - shopper order 는 order 에, runner order 는 shopper 가 보낸 request 에 있음
+const amountSources = {
+  shopper: ({ order }) => order,
+  runner: ({ request }) => request,
+};
+
+// 금액 body 검증 (원 단위 정수) - 매칭될 때 그대로 결제 승인 금액이 됨, 라우트의 validator 목록에 펼쳐서 사용
+const amountBody = [
+  body('estimatedPrice').isInt({ min: 0 }).toInt(),
+  body('runnerTip').isInt({ min: 0 }).toInt(),
+];
+
+/**
+ * orderRequestPolicy 로 조회한 req.orderRequest 로 escrow 정보를 만듦
+ * @param {'shopper' | 'runner'} orderType
+ * @param {{ request: object, order: object, shopperId: number, runnerId: number }} orderRequest
+ */
+const getEscrow = (orderType, orderRequest) => {
+  const source = amountSources[orderType](orderRequest);
+
+  return {
+    orderType,
+    requestId: orderRequest.request.requestId,
+    shopperId: orderRequest.shopperId,
+    runnerId: orderRequest.runnerId,
+    itemAmount: +source.estimatedPrice || 0,
+    tipAmount: +source.runnerTip || 0,
+    method: source.payments,
+  };
+};
+
+const getTransaction = ({ orderType, requestId }, type) =>
+  LedgerService.getTransaction({ orderType, requestId, type });
+
+const createTransaction = (escrow, type, transaction) => {
+  const sum = transaction.entries.reduce((total, entry) => total + entry.amount, 0);
+  if (sum !== 0) throw new Error('PAYMENT.UNBALANCED_TRANSACTION');
+
+  return LedgerService.createTransaction(
+    Object.assign(
+      {
+        type,
+        orderType: escrow.orderType,
+        requestId: escrow.requestId,
+        payerId: escrow.shopperId,
+        payeeId: escrow.runnerId,
+      },
+      transaction,
+    ),
+  );
+};
+
+/**
+ * 매칭될 때 shopper 의 결제를 승인하고 escrow 에 보관 (물품 예상 가격 + 러너 팁)
+ * 이미 보관 중이면 보관된 거래를 돌려주고 결제할 금액이 없으면 (FREE) 아무것도 하지 않음
+ * @param {object} escrow getEscrow 의 결과
+ */
+const hold = async escrow => {
+  const amount = escrow.itemAmount + escrow.tipAmount;
+  if (escrow.method === FREE_PAYMENTS || amount <= 0) return null;
+
+  const prevTransaction = await getTransaction(escrow, TRANSACTION_TYPE.HOLD);
+  if (prevTransaction) return prevTransaction;
+
+  const { paymentId } = await paymentProvider
+    .authorize({
+      userId: escrow.shopperId,
+      amount,
+      method: escrow.method,
+      reference: `${escrow.orderType}:${escrow.requestId}`,
+    })
+    .catch(error => {
+      console.error(error);
+      throw createError('PAYMENT.AUTHORIZATION_FAILED', 402);
+    });
+
+  // (orderType, requestId, type) 는 unique - 동시에 매칭한 다른 요청이 먼저 보관했으면 이 승인은 취소함
+  return createTransaction(escrow, TRANSACTION_TYPE.HOLD, {
+    paymentId,
+    amount,
+    entries: [
+      { account: ACCOUNT.EXTERNAL, amount: -amount },
+      { account: ACCOUNT.escrow(escrow.orderType, escrow.requestId), amount },
+    ],
+  }).catch(async error => {
+    await paymentProvider.cancel(paymentId);
+    if (error.message !== 'PAYMENT.TRANSACTION_ALREADY_EXISTS') throw error;
+    return getTransaction(escrow, TRANSACTION_TYPE.HOLD);
+  });
+};
+
+// 보관 중인 HOLD 거래 - 없거나 이미 지급 / 환불되었으면 null
+const getHeldTransaction = async escrow => {
+  const holdTransaction = await getTransaction(escrow, TRANSACTION_TYPE.HOLD);
+  if (!holdTransaction) return null;
+
+  const released = await getTransaction(escrow, TRANSACTION_TYPE.RELEASE);
+  const refunded = await getTransaction(escrow, TRANSACTION_TYPE.REFUND);
+  return released || refunded ? null : holdTransaction;
+};
+
+/**
+ * 배달 완료 시 결제하고 escrow 의 물품 가격과 러너 팁을 runner 에게 지급
+ * @param {object} escrow getEscrow 의 결과
+ */
+const release = async escrow => {
+  const holdTransaction = await getHeldTransaction(escrow);
+  if (!holdTransaction) return null;
+
+  const { amount, paymentId } = holdTransaction;
+  await paymentProvider.capture(paymentId, amount);
+
+  return createTransaction(escrow, TRANSACTION_TYPE.RELEASE, {
+    paymentId,
+    amount,
+    entries: [
+      { account: ACCOUNT.escrow(escrow.orderType, escrow.requestId), amount: -amount },
+      { account: ACCOUNT.user(escrow.runnerId), amount },
+    ],
+  });
+};
+
+/**
+ * 매칭 취소 시 결제 승인을 취소하고 escrow 의 금액을 shopper 에게 돌려줌
+ * 취소 수수료(fee)가 있으면 수수료만 결제하여 runner 에게 지급하고 나머지를 돌려줌
+ * @param {object} escrow getEscrow 의 결과
+ * @param {number} fee
+ */
+const refund = async (escrow, fee = 0) => {
+  const holdTransaction = await getHeldTransaction(escrow);
+  if (!holdTransaction) return null;
+
+  const { amount, paymentId } = holdTransaction;
+  const cancelFee = Math.min(fee, amount);
+  if (cancelFee > 0) {
+    await paymentProvider.capture(paymentId, cancelFee);
+  } else {
+    await paymentProvider.cancel(paymentId);
+  }
+
+  const entries = [
+    { account: ACCOUNT.escrow(escrow.orderType, escrow.requestId), amount: -amount },
+    { account: ACCOUNT.EXTERNAL, amount: amount - cancelFee },
+  ];
+  if (cancelFee > 0) entries.push({ account: ACCOUNT.user(escrow.runnerId), amount: cancelFee });
+
+  return createTransaction(escrow, TRANSACTION_TYPE.REFUND, {
+    paymentId,
+    amount,
+    fee: cancelFee,
+    entries,
+  });
+};
+
+/**
+ * request 상태가 바뀐 뒤 escrow 정산 - DELIVERED 는 지급, MATCH_FAIL 은 환불 (취소 수수료 제외)
+ * 정산은 여러 번 호출해도 한 번만 처리됨
+ * @param {object} escrow getEscrow 의 결과
+ * @param {string} requestStatus 바뀐 상태
+ * @param {{ cancelFee?: number }} cancellation 취소로 MATCH_FAIL 이 된 경우 취소 정보
+ */
+const settle = (escrow, requestStatus, cancellation) => {
+  if (requestStatus === 'DELIVERED') return release(escrow);
+  if (requestStatus === 'MATCH_FAIL')
+    return refund(escrow, cancellation ? cancellation.cancelFee : 0);
+  return null;
+};
+
+/**
+ * settle 과 같지만 실패하면 정산 실패로 저장하여 백그라운드 작업(jobs retrySettlements)이 다시 시도하게 함
+ * 상태 변경은 이미 저장되었으므로 에러를 던지지 않음
+ * @param {object} escrow getEscrow 의 결과
+ * @param {string} requestStatus 바뀐 상태
+ * @param {{ cancelFee?: number }} cancellation
+ */
+const settleOrRetry = async (escrow, requestStatus, cancellation) => {
+  try {
+    return await settle(escrow, requestStatus, cancellation);
+  } catch (error) {
+    await LedgerService.createSettlementFailure({
+      orderType: escrow.orderType,
+      requestId: escrow.requestId,
+      requestStatus,
+      cancelFee: (cancellation && cancellation.cancelFee) || 0,
+      attemptCount: 0,
+      lastError: error.message,
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  FREE_PAYMENTS,
+  ACCOUNT,
+  TRANSACTION_TYPE,
+  amountBody,
+  getEscrow,
+  hold,
+  release,
+  refund,
+  settle,
+  settleOrRetry,
+};
@@ -0,0 +1,95 @@
+const createError = require('./createError');
+
+const EARTH_RADIUS = 6371000;
+// 거리 조회 시 radius 를 알 수 없을 때 사용하는 기본값 / radius 최대값 (m)
+const DEFAULT_RADIUS = 1000;
+const MAX_RADIUS = 10000;
+
+const toRadian = degree => (degree * Math.PI) / 180;
+
+/**
+ * query 에 lat, lng 가 모두 있으면 true, 하나만 있으면 ORDER.INVALID_LOCATION 에러
+ * @param {{ lat?: number, lng?: number }} query
+ */
+const hasLocation = ({ lat, lng }) => {
+  if ((lat === undefined) !== (lng === undefined)) throw createError('ORDER.INVALID_LOCATION', 400);
+  return lat !== undefined;
+};
+
+/**
+ * 두 좌표 사이의 직선 거리 (m)
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ */
+const getDistance = (from, to) => {
+  const dLat = toRadian(to.lat - from.lat);
+  const dLng = toRadian(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadian(from.lat)) * Math.cos(toRadian(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS * Math.asin(Math.sqrt(a)));
+};
+
+/**
+ * '100m', '1.5KM' 같은 거리 문자열을 m 단위 숫자로 변환, 형식이 맞지 않으면 null
+ * @param {string} distance
+ */
+const parseDistance = distance => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(m|km)\s*$/i.exec(distance || '');
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return match[2].toLowerCase() === 'km' ? value * 1000 : value;
+};
+
+/**
+ * 중심 좌표에서 radius(m) 안의 좌표를 모두 포함하는 사각형 - DB 에서 후보를 먼저 거를 때 사용
+ * @param {{ lat: number, lng: number }} center
+ * @param {number} radius
+ */
+const getBoundingBox = ({ lat, lng }, radius) => {
+  const dLat = (radius / EARTH_RADIUS) * (180 / Math.PI);
+  const dLng = dLat / Math.max(Math.cos(toRadian(lat)), 0.01);
+
+  return {
+    minLat: lat - dLat,
+    maxLat: lat + dLat,
+    minLng: lng - dLng,
+    maxLng: lng + dLng,
+  };
+};
+
+const compareByDistance = (a, b) =>
+  a.distanceFromCenter - b.distanceFromCenter || a.orderId - b.orderId;
+
+/**
+ * 중심 좌표에서 각 order 까지의 거리(distanceFromCenter)를 붙이고 radius 밖의 order 를 제외한 뒤 가까운 순으로 정렬
+ * 거리가 같으면 orderId 순, runner order 의 distance(활동 반경)는 그대로 둠
+ * @param {object[]} orders lat, lng 를 가진 order 목록
+ * @param {{ lat: number, lng: number }} center
+ * @param {(order: object) => number} getRadius order 별 허용 거리 (m)
+ */
+const sortByDistance = (orders, center, getRadius) =>
+  orders
+    .map(order => (order.toJSON ? order.toJSON() : order))
+    // DECIMAL 컬럼은 문자열로 조회되므로 숫자로 변환, 좌표가 없는 order 는 NaN 이 되어 제외됨
+    .map(order => {
+      const position = { lat: parseFloat(order.lat), lng: parseFloat(order.lng) };
+      return Object.assign(order, { distanceFromCenter: getDistance(center, position) });
+    })
+    .filter(
+      order => !isNaN(order.distanceFromCenter) && order.distanceFromCenter <= getRadius(order),
+    )
+    .sort(compareByDistance);
+
+module.exports = {
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  hasLocation,
+  getDistance,
+  parseDistance,
+  getBoundingBox,
+  compareByDistance,
+  sortByDistance,
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const HandoffPinService = require('../services/handoffPin.service');
+const createError = require('./createError');
+const { hashToken } = require('./authToken');
+
+const PIN_LENGTH = 6;
+const PIN_EXPIRES_IN = 1000 * 60 * 30;
+// 틀린 PIN 을 이만큼 입력하면 shopper 가 PIN 을 다시 발급해야 함
+const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * shopper 가 runner 에게 보여줄 일회용 PIN 발급 - 이전에 발급한 PIN 은 사용할 수 없게 됨
+ * qrValue 는 앱에서 QR 코드로 보여주고 runner 의 앱에서 읽어서 PIN 을 입력함
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} requestId
+ */
+const issuePin = async (orderType, requestId) => {
+  const pin = String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+  const expiresAt = new Date(Date.now() + PIN_EXPIRES_IN);
+
+  // (orderType, requestId) 별로 하나만 저장됨
+  await HandoffPinService.savePin({
+    orderType,
+    requestId,
+    pinHash: hashToken(pin),
+    attemptCount: 0,
+    expiresAt,
+  });
+
+  const qrValue = `roadrunner://handoff?orderType=${orderType}&requestId=${requestId}&pin=${pin}`;
+  return { pin, qrValue, expiresAt };
+};
+
+/**
+ * runner 가 입력한 PIN 확인, 확인된 PIN 은 삭제됨
+ * 시도 횟수는 확인 전에 먼저 늘려서 동시에 여러 번 입력해도 MAX_PIN_ATTEMPTS 를 넘지 않음
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} requestId
+ * @param {string} pin
+ */
+const verifyPin = async (orderType, requestId, pin) => {
+  const savedPin = await HandoffPinService.getPin(orderType, requestId);
+  if (!savedPin || new Date(savedPin.expiresAt) < new Date()) {
+    throw createError('ORDER.HANDOFF_PIN_EXPIRED', 409);
+  }
+
+  // attemptCount < max 인 경우에만 1 증가 (조건부 UPDATE), 증가하지 않았으면 false
+  const isCounted = await HandoffPinService.increaseAttemptCount(orderType, requestId, {
+    max: MAX_PIN_ATTEMPTS,
+  });
+  if (!isCounted) throw createError('ORDER.HANDOFF_PIN_LOCKED', 423);
+
+  if (hashToken(pin) !== savedPin.pinHash) throw createError('ORDER.INVALID_HANDOFF_PIN', 400);
+
+  // 같은 PIN 으로 동시에 확인한 요청은 하나만 삭제에 성공함
+  const isDeleted = await HandoffPinService.deletePin(orderType, requestId);
+  if (!isDeleted) throw createError('ORDER.HANDOFF_PIN_EXPIRED', 409);
+};
+
+module.exports = {
+  PIN_LENGTH,
+  issuePin,
+  verifyPin,
+};
@@ -0,0 +1,52 @@
+// 리스트 조회 query 의 sort / include 파라미터 처리
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const split = value =>
+  String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item);
+
+/**
+ * 'createdAt,-estimatedPrice' 형식의 sort 가 허용된 필드로만 이루어졌는지 확인 ('-' 는 내림차순)
+ * express-validator 의 custom validator 로 사용
+ * @param {string[]} fields 정렬 가능한 필드
+ */
+const isSort = fields => value => {
+  const invalid = split(value).filter(field => fields.indexOf(field.replace(/^-/, '')) === -1);
+  if (invalid.length > 0) throw new Error(`allow sort fields are [${fields.join(',')}]`);
+  return true;
+};
+
+/**
+ * 'createdAt,-estimatedPrice' -> [['createdAt', 'ASC'], ['estimatedPrice', 'DESC']]
+ * @param {string} value
+ */
+const parseSort = value =>
+  split(value).map(field => (field.startsWith('-') ? [field.slice(1), 'DESC'] : [field, 'ASC']));
+
+/**
+ * 'requests,items' 형식의 include 가 허용된 관계로만 이루어졌는지 확인
+ * express-validator 의 custom validator 로 사용
+ * @param {string[]} relations 함께 조회할 수 있는 관계
+ */
+const isInclude = relations => value => {
+  const invalid = split(value).filter(relation => relations.indexOf(relation) === -1);
+  if (invalid.length > 0) throw new Error(`allow include are [${relations.join(',')}]`);
+  return true;
+};
+
+/**
+ * 'requests,items' -> ['requests', 'items'] (중복 제거)
+ * @param {string} value
+ */
+const parseInclude = value => [...new Set(split(value))];
+
+module.exports = {
+  TIME_PATTERN,
+  isSort,
+  parseSort,
+  isInclude,
+  parseInclude,
+};
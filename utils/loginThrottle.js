@@ -0,0 +1,117 @@
+const LoginAttemptService = require('../services/loginAttempt.service');
+const createError = require('./createError');
+
+// 계정(email) / ip 별로 실패 횟수를 세어 freeAttempts 이후로는 점점 긴 대기 시간을, lockAttempts 에 도달하면 잠금을 적용함
+const POLICY = {
+  account: { freeAttempts: 3, lockAttempts: 10 },
+  ip: { freeAttempts: 10, lockAttempts: 50 },
+};
+const LOCK_DURATION = 1000 * 60 * 30;
+const MAX_DELAY = 1000 * 60;
+// 마지막 실패 이후 이 시간이 지나면 실패 횟수를 다시 셈
+const FAIL_WINDOW = 1000 * 60 * 60;
+
+const getTargets = ({ email, ip }) => {
+  const targets = [];
+  if (email) targets.push({ type: 'account', key: `account:${email.toLowerCase()}` });
+  if (ip) targets.push({ type: 'ip', key: `ip:${ip}` });
+  return targets;
+};
+
+// freeAttempts 이후 실패할 때마다 1초, 2초, 4초 ... 최대 MAX_DELAY 까지 대기
+const getDelay = (failCount, { freeAttempts }) => {
+  if (failCount < freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failCount - freeAttempts), MAX_DELAY);
+};
+
+const throttled = (code, status, retryAfter) => {
+  const error = createError(code, status);
+  // 응답의 Retry-After header (초)
+  error.retryAfter = Math.ceil(retryAfter / 1000);
+  return error;
+};
+
+// 대상 하나의 시도를 세고 되돌리는 함수를 돌려줌 - 잠금 / 대기 시간 중이면 세지 않고 에러
+const countAttempt = async ({ type, key }, now) => {
+  // 한 번의 UPDATE 로 failCount 를 1 증가하고 lastFailedAt = now
+  // 마지막 실패가 resetBefore 보다 이전이거나 잠금(lockedUntil)이 끝났으면 failCount 를 1 로 초기화하고 잠금을 지움
+  // 잠금 중(lockedUntil > now)이면 아무것도 바꾸지 않음 - 증가한 failCount 와 이전 lastFailedAt(prevFailedAt), lockedUntil 을 돌려줌
+  const saved = await LoginAttemptService.increaseFailCount(key, {
+    now,
+    resetBefore: new Date(now.getTime() - FAIL_WINDOW),
+  });
+  const lockError = lockedFor =>
+    type === 'account'
+      ? throttled('AUTH.ACCOUNT_LOCKED', 423, lockedFor)
+      : throttled('AUTH.TOO_MANY_ATTEMPTS', 429, lockedFor);
+  // 거절된 시도는 failCount 와 lastFailedAt 을 이번 시도 전으로 되돌림
+  const uncount = () =>
+    LoginAttemptService.decreaseFailCount(key, { lastFailedAt: saved.prevFailedAt });
+
+  const lockedFor = saved.lockedUntil ? new Date(saved.lockedUntil) - now : 0;
+  if (lockedFor > 0) throw lockError(lockedFor);
+
+  // lockAttempts 번 실패한 뒤의 시도는 세지 않고 잠금 - 잠금이 끝나면 실패 횟수를 처음부터 셈
+  if (saved.failCount > POLICY[type].lockAttempts) {
+    await uncount();
+    await LoginAttemptService.lockAttempt(key, new Date(now.getTime() + LOCK_DURATION));
+    throw lockError(LOCK_DURATION);
+  }
+
+  // 이번 시도 전까지의 실패 횟수로 대기 시간을 계산, 대기 시간 중의 시도는 세지 않음
+  const waitFor = saved.prevFailedAt
+    ? new Date(saved.prevFailedAt).getTime() + getDelay(saved.failCount - 1, POLICY[type])
+    : 0;
+  if (waitFor > now) {
+    await uncount();
+    throw throttled('AUTH.TOO_MANY_ATTEMPTS', 429, waitFor - now);
+  }
+
+  return uncount;
+};
+
+/**
+ * 로그인(비밀번호 확인)을 시도할 수 있는지 확인하고 시도 횟수를 셈
+ * 비밀번호를 확인하기 전에 실패로 먼저 세므로 동시에 여러 번 시도해도 대기 시간 / 잠금을 피할 수 없음
+ * 비밀번호가 맞으면 recordSuccess, 비밀번호와 관계없는 에러이면 releaseAttempt 로 되돌려야 함
+ * 계정이 잠긴 경우 AUTH.ACCOUNT_LOCKED, 대기 시간 중이거나 ip 가 잠긴 경우 AUTH.TOO_MANY_ATTEMPTS - 거절된 시도는 세지 않음
+ * @param {{ email: string, ip: string }} attempt
+ */
+exports.assertCanAttempt = async (attempt, now = new Date()) => {
+  const counted = [];
+  try {
+    for (const target of getTargets(attempt)) {
+      counted.push(await countAttempt(target, now));
+    }
+  } catch (error) {
+    // 다른 대상에서 거절되면 이미 센 시도도 되돌림
+    for (const uncount of counted) await uncount();
+    throw error;
+  }
+};
+
+/**
+ * assertCanAttempt 에서 센 시도를 되돌림 - 비밀번호 확인과 관계없는 에러인 경우
+ * @param {{ email: string, ip: string }} attempt
+ */
+exports.releaseAttempt = async attempt => {
+  for (const { key } of getTargets(attempt)) {
+    await LoginAttemptService.decreaseFailCount(key);
+  }
+};
+
+/**
+ * 비밀번호가 맞은 경우 - 계정의 실패 기록은 지우고 ip 는 이번 시도만 되돌림
+ * @param {{ email: string, ip: string }} attempt
+ */
+exports.recordSuccess = async attempt => {
+  await exports.releaseAttempt({ ip: attempt.ip });
+  await exports.resetAccount(attempt.email);
+};
+
+/**
+ * 계정의 실패 기록 및 잠금 해제 (로그인 성공, 비밀번호 재설정)
+ * ip 기록은 다른 계정으로 로그인에 성공해도 유지됨
+ * @param {string} email
+ */
+exports.resetAccount = email => LoginAttemptService.deleteAttempt(`account:${email.toLowerCase()}`);
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// MAIL_TRANSPORT 로 메일 전송 방법을 선택함 - 개발 / 테스트 환경(NODE_ENV development, test)에서만 기본값 file
+// 그 외 환경에서 없거나 등록되지 않은 전송 방법이면 서버 시작 시 에러
+// file: MAIL_DIR (기본값 mails/) 폴더에 메일을 json 파일로 저장 - 개발 / 테스트용
+// smtp: SMTP_URL 로 실제 메일 전송
+const transports = {
+  file: {
+    send: async mail => {
+      const dir = process.env.MAIL_DIR || 'mails';
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const filename = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(mail, null, 2));
+    },
+  },
+  smtp: {
+    send: async mail => {
+      // smtp 를 사용할 때만 nodemailer 를 불러옴
+      const nodemailer = require('nodemailer');
+      if (!transports.smtp.client) {
+        transports.smtp.client = nodemailer.createTransport(process.env.SMTP_URL);
+      }
+      await transports.smtp.client.sendMail(mail);
+    },
+  },
+};
+
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+const getTransport = () => {
+  const isDevelopment = DEVELOPMENT_ENVS.indexOf(process.env.NODE_ENV) > -1;
+  const name = process.env.MAIL_TRANSPORT || (isDevelopment ? 'file' : '');
+  if (!Object.prototype.hasOwnProperty.call(transports, name)) {
+    throw new Error(`MAIL_TRANSPORT must be one of [${Object.keys(transports)}], got '${name}'`);
+  }
+  return transports[name];
+};
+
+let transport = getTransport();
+
+/**
+ * 메일 전송 방법 변경 (테스트에서 전송된 메일을 확인할 때 사용)
+ * @param {{ send: (mail: object) => Promise<void> }} newTransport
+ */
+exports.setTransport = newTransport => {
+  transport = newTransport;
+};
+
+/**
+ * 메일 전송
+ * @param {{ to: string, subject: string, text: string }} mail
+ */
+exports.sendMail = mail =>
+  transport.send(Object.assign({ from: process.env.MAIL_FROM || 'no-reply@roadrunner' }, mail));
@@ -0,0 +1,171 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const ReviewService = require('../services/review.service');
+const { DEFAULT_RADIUS, MAX_RADIUS, getDistance, parseDistance, getBoundingBox } = require('./geo');
+const { getOverlapMinutes, getWindowMinutes } = require('./orderWindow');
+const { getUserSocketRoom } = require('./chattingRoom');
+const { filterAvailableRunnerIds } = require('./availability');
+
+// 항목별 점수(0 ~ 1)의 가중치 - 합은 1, 최종 점수는 0 ~ 100
+const WEIGHTS = {
+  distance: 0.35,
+  time: 0.25,
+  tip: 0.15,
+  priority: 0.1,
+  rating: 0.15,
+};
+const PRIORITY_SCORES = { FREE: 0, NORMAL: 0.5, URGENT: 1 };
+// 이 금액 이상의 러너 팁은 만점
+const TIP_REFERENCE = 5000;
+// 리뷰가 없는 runner 의 평점 점수
+const DEFAULT_RATING_SCORE = 0.6;
+const DEFAULT_SUGGESTION_LIMIT = 20;
+// 자동 제안(autoOffer) 시 알림을 보낼 상대방 수
+const AUTO_OFFER_COUNT = 3;
+// 근무 상태 / 평점을 조회할 최대 후보 수 - 평점을 제외한 점수가 높은 순으로 자름
+const MAX_CANDIDATES = 100;
+
+const toPosition = order => ({ lat: parseFloat(order.lat), lng: parseFloat(order.lng) });
+const toPlain = order => (order.toJSON ? order.toJSON() : order);
+
+// runner order 의 활동 반경 - order 의 distance 가 없으면 기본값
+const getRunnerRadius = runnerOrder =>
+  Math.min(parseDistance(runnerOrder.distance) || DEFAULT_RADIUS, MAX_RADIUS);
+
+/**
+ * shopper order 와 runner order 의 점수 - 활동 반경 밖이거나 시간대가 겹치지 않으면 null
+ * @param {object} shopperOrder
+ * @param {object} runnerOrder
+ * @param {{ average: number | null }} rating runner 의 평점 요약
+ */
+const scorePair = (shopperOrder, runnerOrder, rating) => {
+  const radius = getRunnerRadius(runnerOrder);
+  const distance = getDistance(toPosition(shopperOrder), toPosition(runnerOrder));
+  if (isNaN(distance) || distance > radius) return null;
+
+  const receiveWindow = [shopperOrder.startReceiveTime, shopperOrder.endReceiveTime];
+  const contactableWindow = [runnerOrder.startContactableTime, runnerOrder.endContactableTime];
+  const overlapMinutes = getOverlapMinutes(receiveWindow, contactableWindow);
+  if (overlapMinutes === 0) return null;
+
+  const scores = {
+    distance: 1 - distance / radius,
+    time: Math.min(overlapMinutes / getWindowMinutes(receiveWindow), 1),
+    tip: Math.min((+shopperOrder.runnerTip || 0) / TIP_REFERENCE, 1),
+    priority: PRIORITY_SCORES[shopperOrder.priority] || 0,
+    rating: rating && rating.average ? rating.average / 5 : DEFAULT_RATING_SCORE,
+  };
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0);
+
+  return { score: Math.round(score * 100), distance, overlapMinutes, scores };
+};
+
+// runner 별 평점 요약 - { [runnerId]: { average, count } }, 한 번에 조회함
+const getRatings = async runnerIds => {
+  const uniqueIds = Array.from(new Set(runnerIds));
+  if (uniqueIds.length === 0) return {};
+
+  const summaries = await ReviewService.getRatingSummaries(uniqueIds);
+  return summaries.reduce(
+    (result, { userId, average, count }) => Object.assign(result, { [userId]: { average, count } }),
+    {},
+  );
+};
+
+// 점수가 높은 순, 같으면 가까운 순
+const compareByScore = (a, b) => b.score - a.score || a.distance - b.distance;
+
+/**
+ * shopper order 에 어울리는 runner order 목록 (점수가 높은 순) - 근무 중이고 지금 활동 시간인 runner 만 포함
+ * @param {object} shopperOrder 좌표(lat, lng)를 가진 shopper order
+ * @param {{ excludeUserIds?: number[], limit?: number }} options excludeUserIds 는 제외할 runner
+ */
+const suggestRunnerOrders = async (shopperOrder, { excludeUserIds = [], limit } = {}) => {
+  const candidates = await RunnerService.getOrdersInBoundingBox(
+    { excludeUserIds: excludeUserIds.concat(shopperOrder.shopperId) },
+    getBoundingBox(toPosition(shopperOrder), MAX_RADIUS),
+  );
+  // 활동 반경 / 시간대가 맞지 않는 order 를 먼저 제외하고 평점을 제외한 점수로 후보 수를 제한함
+  const matchedOrders = candidates
+    .map(toPlain)
+    .map(order => ({ order, match: scorePair(shopperOrder, order, null) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => compareByScore(a.match, b.match))
+    .slice(0, MAX_CANDIDATES)
+    .map(({ order }) => order);
+
+  const availableRunnerIds = await filterAvailableRunnerIds(
+    matchedOrders.map(order => order.runnerId),
+  );
+  const runnerOrders = matchedOrders.filter(
+    order => availableRunnerIds.indexOf(order.runnerId) > -1,
+  );
+  const ratings = await getRatings(runnerOrders.map(order => order.runnerId));
+
+  return runnerOrders
+    .map(order => {
+      const match = scorePair(shopperOrder, order, ratings[order.runnerId]);
+      return match && Object.assign({ order, rating: ratings[order.runnerId] }, match);
+    })
+    .filter(suggestion => suggestion)
+    .sort(compareByScore)
+    .slice(0, limit || DEFAULT_SUGGESTION_LIMIT);
+};
+
+/**
+ * runner order 의 활동 반경 안에서 어울리는 shopper order 목록 (점수가 높은 순)
+ * @param {object} runnerOrder 좌표(lat, lng)를 가진 runner order
+ * @param {{ excludeUserIds?: number[], limit?: number }} options excludeUserIds 는 제외할 shopper
+ */
+const suggestShopperOrders = async (runnerOrder, { excludeUserIds = [], limit } = {}) => {
+  const candidates = await ShopperService.getOrdersInBoundingBox(
+    { excludeUserIds: excludeUserIds.concat(runnerOrder.runnerId) },
+    getBoundingBox(toPosition(runnerOrder), getRunnerRadius(runnerOrder)),
+  );
+  const rating = await ReviewService.getRatingSummary(runnerOrder.runnerId);
+
+  return candidates
+    .map(toPlain)
+    .map(order => {
+      const match = scorePair(order, runnerOrder, rating);
+      return match && Object.assign({ order }, match);
+    })
+    .filter(suggestion => suggestion)
+    .sort(compareByScore)
+    .slice(0, limit || DEFAULT_SUGGESTION_LIMIT);
+};
+
+/**
+ * 자동 제안 - 새 order 와 점수가 높은 상대방(AUTO_OFFER_COUNT 명)에게 'orderOffered' 이벤트로 알림
+ * 상대방은 알림을 받은 order 에 createOrderRequest 로 요청을 보낼 수 있음
+ * @param {object} io
+ * @param {'shopper' | 'runner'} orderType 새 order 의 종류
+ * @param {object} order
+ * @param {number[]} excludeUserIds
+ */
+const offerOrder = async (io, orderType, order, excludeUserIds) => {
+  const isShopperOrder = orderType === 'shopper';
+  const suggestions = isShopperOrder
+    ? await suggestRunnerOrders(order, { excludeUserIds, limit: AUTO_OFFER_COUNT })
+    : await suggestShopperOrders(order, { excludeUserIds, limit: AUTO_OFFER_COUNT });
+
+  suggestions.forEach(suggestion => {
+    const userId = isShopperOrder ? suggestion.order.runnerId : suggestion.order.shopperId;
+    io.to(getUserSocketRoom(userId)).emit('orderOffered', {
+      orderType,
+      orderId: order.orderId,
+      suggestedOrderId: suggestion.order.orderId,
+      score: suggestion.score,
+      distance: suggestion.distance,
+    });
+  });
+  return suggestions;
+};
+
+module.exports = {
+  WEIGHTS,
+  scorePair,
+  suggestRunnerOrders,
+  suggestShopperOrders,
+  offerOrder,
+};
@@ -0,0 +1,58 @@
+const ChattingService = require('../services/chatting.service');
+const { SYSTEM_MESSAGE_TYPE, toClientMessage } = require('./chattingMessage');
+const { ROOM_TYPE, getOrCreateRoom } = require('./chattingRoom');
+
+// order request 상태가 바뀌었을 때 채팅방에 남기는 메세지
+const STATUS_MESSAGES = {
+  REQUESTING: '주문 요청이 다시 접수되었습니다.',
+  MATCHED: '매칭되었습니다. 채팅으로 세부 사항을 조율해주세요.',
+  MATCH_FAIL: '매칭이 취소되었습니다.',
+  DELIVERED_REQUEST: '러너가 배달 완료를 요청했습니다. 물품을 확인해주세요.',
+  DISPUTED: '쇼퍼가 배달에 이의를 제기했습니다. 관리자가 확인 후 처리합니다.',
+  DELIVERED: '배달이 완료되었습니다.',
+  REVIEW_REQUEST: '거래는 어떠셨나요? 리뷰를 남겨주세요.',
+  REVIEWED: '리뷰가 등록되었습니다.',
+};
+
+// 매칭 이후의 상태는 채팅방이 없으면 만들어서 메세지를 남김
+const CREATE_ROOM_STATUS = [
+  'MATCHED',
+  'DELIVERED_REQUEST',
+  'DISPUTED',
+  'DELIVERED',
+  'REVIEW_REQUEST',
+  'REVIEWED',
+];
+
+/**
+ * order request 상태 변경을 order 에 연결된 shopper / runner 의 채팅방에 SYSTEM 메세지로 남기고 socket 으로 전달
+ * 매칭 전 상태로 바뀐 경우에는 채팅방이 있을 때만 남김
+ * @param {object} io socket.io 서버 (req.io)
+ * @param {object} transition
+ */
+const postStatusMessage = async (
+  io,
+  { shopperId, runnerId, orderType, orderId, requestId, fromStatus, toStatus },
+) => {
+  const room = { type: ROOM_TYPE.ORDER, userIds: [shopperId, runnerId], orderType, orderId };
+  const chattingRoom =
+    CREATE_ROOM_STATUS.indexOf(toStatus) > -1
+      ? await getOrCreateRoom(Object.assign({ ownerId: null }, room))
+      : await ChattingService.findRoom(room);
+  if (!chattingRoom) return null;
+
+  const chattingMessage = await ChattingService.createMessage(
+    null,
+    STATUS_MESSAGES[toStatus],
+    chattingRoom.roomId,
+    SYSTEM_MESSAGE_TYPE,
+    { orderType, orderId, requestId, fromStatus, toStatus },
+  );
+
+  io.sockets.in(chattingRoom.roomKey).emit('message', toClientMessage(chattingMessage));
+  return chattingMessage;
+};
+
+module.exports = {
+  postStatusMessage,
+};
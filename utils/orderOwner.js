@@ -0,0 +1,54 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const { assertOrderOpen } = require('./orderWindow');
+
+// orderType 별 order 조회 방법과 order 를 올린 사람의 필드
+const orderTypes = {
+  shopper: {
+    getOrderById: orderId => ShopperService.getOrderById(orderId),
+    ownerField: 'shopperId',
+  },
+  runner: { getOrderById: orderId => RunnerService.getOrderById(orderId), ownerField: 'runnerId' },
+};
+
+/**
+ * order 를 올린 사람의 id, order 가 없으면 null
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} orderId
+ */
+const findOrderOwnerId = async (orderType, orderId) => {
+  const { getOrderById, ownerField } = orderTypes[orderType];
+  const order = await getOrderById(orderId);
+  return order && order[ownerField];
+};
+
+/**
+ * order 를 올린 사람의 id, order 가 없으면 ORDER.ORDER_NOT_FOUND 에러
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} orderId
+ */
+const getOrderOwnerId = async (orderType, orderId) => {
+  const ownerId = await findOrderOwnerId(orderType, orderId);
+  if (!ownerId) throw new Error('ORDER.ORDER_NOT_FOUND');
+  return ownerId;
+};
+
+/**
+ * request 를 보낼 수 있는 order 를 올린 사람의 id
+ * order 가 없으면 ORDER.ORDER_NOT_FOUND, 취소 / 삭제 / 만료된 order 이면 ORDER.ORDER_CLOSED 에러
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} orderId
+ */
+const getOpenOrderOwnerId = async (orderType, orderId) => {
+  const { getOrderById, ownerField } = orderTypes[orderType];
+  const order = await getOrderById(orderId);
+  if (!order) throw new Error('ORDER.ORDER_NOT_FOUND');
+  assertOrderOpen(order);
+  return order[ownerField];
+};
+
+module.exports = {
+  findOrderOwnerId,
+  getOrderOwnerId,
+  getOpenOrderOwnerId,
+};
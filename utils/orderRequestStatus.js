@@ -0,0 +1,94 @@
+// order request (ShopperOrderRequests / RunnerOrderRequests) 상태 전이 규칙
+
+const REQUEST_STATUS = [
+  'REQUESTING',
+  'MATCHED',
+  'MATCH_FAIL',
+  'DELIVERED_REQUEST',
+  'DISPUTED',
+  'DELIVERED',
+  'REVIEW_REQUEST',
+  'REVIEWED',
+];
+
+// 전이를 일으킬 수 있는 party
+// SHOPPER / RUNNER: 거래 당사자의 역할, OWNER: order를 올린 사람, REQUESTER: order에 요청을 보낸 사람
+// SYSTEM: 백그라운드 작업(jobs)에 의한 자동 전이, ADMIN: 관리자 (분쟁 처리)
+const PARTY = {
+  SHOPPER: 'SHOPPER',
+  RUNNER: 'RUNNER',
+  OWNER: 'OWNER',
+  REQUESTER: 'REQUESTER',
+  SYSTEM: 'SYSTEM',
+  ADMIN: 'ADMIN',
+};
+
+// { 현재 상태: { 다음 상태: [전이 가능한 party] } }
+const TRANSITIONS = {
+  REQUESTING: {
+    MATCHED: [PARTY.OWNER],
+    // SYSTEM: order 의 기간이 지나 만료된 경우
+    MATCH_FAIL: [PARTY.OWNER, PARTY.REQUESTER, PARTY.SYSTEM],
+  },
+  MATCHED: {
+    MATCH_FAIL: [PARTY.SHOPPER, PARTY.RUNNER],
+    DELIVERED_REQUEST: [PARTY.RUNNER],
+  },
+  // shopper 가 발급한 핸드오프 PIN 을 runner 가 제출해야 함, SYSTEM: 유예 기간이 지나 자동 확정된 경우
+  // 물품을 받지 못한 shopper 는 이의를 제기(DISPUTED)하여 자동 확정을 막을 수 있음
+  DELIVERED_REQUEST: {
+    DELIVERED: [PARTY.RUNNER, PARTY.SYSTEM],
+    DISPUTED: [PARTY.SHOPPER],
+  },
+  // 관리자가 확인 후 runner 에게 지급(DELIVERED)하거나 shopper 에게 환불(MATCH_FAIL)
+  DISPUTED: {
+    DELIVERED: [PARTY.ADMIN],
+    MATCH_FAIL: [PARTY.ADMIN],
+  },
+  DELIVERED: {
+    REVIEW_REQUEST: [PARTY.SHOPPER, PARTY.RUNNER],
+    REVIEWED: [PARTY.SHOPPER, PARTY.RUNNER],
+  },
+  REVIEW_REQUEST: {
+    REVIEWED: [PARTY.SHOPPER, PARTY.RUNNER],
+  },
+  MATCH_FAIL: {},
+  REVIEWED: {},
+};
+
+/**
+ * 요청한 유저가 해당 order request에서 가지는 party 목록
+ * @param {number} userId 요청한 유저
+ * @param {{ shopperId: number, runnerId: number, ownerId: number }} request 거래 당사자 정보
+ */
+const getParties = (userId, { shopperId, runnerId, ownerId }) => {
+  const parties = [];
+  if (+userId === +shopperId) parties.push(PARTY.SHOPPER);
+  if (+userId === +runnerId) parties.push(PARTY.RUNNER);
+  if (parties.length === 0) return parties;
+
+  parties.push(+userId === +ownerId ? PARTY.OWNER : PARTY.REQUESTER);
+  return parties;
+};
+
+/**
+ * from -> to 전이가 가능한지 확인하고 불가능하면 에러를 던짐
+ * @param {string} from 현재 상태
+ * @param {string} to 변경할 상태
+ * @param {string[]} parties getParties 의 결과
+ */
+const assertTransition = (from, to, parties) => {
+  const allowedParties = (TRANSITIONS[from] || {})[to];
+  if (!allowedParties) throw new Error('ORDER.INVALID_STATUS_TRANSITION');
+
+  const isAllowed = allowedParties.some(party => parties.indexOf(party) > -1);
+  if (!isAllowed) throw new Error('ORDER.STATUS_TRANSITION_NOT_ALLOWED');
+};
+
+module.exports = {
+  REQUEST_STATUS,
+  PARTY,
+  TRANSITIONS,
+  getParties,
+  assertTransition,
+};
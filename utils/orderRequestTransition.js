@@ -0,0 +1,117 @@
+const ShopperService = require('../services/shopper.service');
+const RunnerService = require('../services/runner.service');
+const { assertTransition } = require('./orderRequestStatus');
+const { postStatusMessage } = require('./orderChatting');
+const escrow = require('./escrow');
+const createError = require('./createError');
+const { assertOrderOpen } = require('./orderWindow');
+const { TRACKABLE_STATUS, endTracking } = require('./runnerLocation');
+
+const services = {
+  shopper: ShopperService,
+  runner: RunnerService,
+};
+
+// 한 번 매칭된 적이 있는 request 상태 - 끝난(MATCH_FAIL) request 는 포함하지 않음
+const MATCHED_STATUS = [
+  'MATCHED',
+  'DELIVERED_REQUEST',
+  'DISPUTED',
+  'DELIVERED',
+  'REVIEW_REQUEST',
+  'REVIEWED',
+];
+
+// shopper order 는 금액이 order 에 있으므로 request 하나만 매칭됨 - 같은 금액으로 결제 승인을 두 번 하지 않도록 함
+const assertNotMatched = async (orderId, requestId) => {
+  const requests = await ShopperService.getOrderRequestsByOrderId(orderId);
+  const isMatched = requests.some(
+    request =>
+      request.requestId !== requestId && MATCHED_STATUS.indexOf(request.requestStatus) > -1,
+  );
+  if (isMatched) throw createError('ORDER.ALREADY_MATCHED', 409);
+};
+
+/**
+ * request 의 상태와 이력을 함께 저장하고 escrow 정산 / 위치 공유 종료 / 채팅방 SYSTEM 메세지를 남김
+ * fields 는 상태와 함께 request 에 저장됨, 조회 이후 다른 유저가 상태를 바꾼 경우 업데이트 되지 않고 false 를 돌려줌
+ * @param {object} io
+ * @param {'shopper' | 'runner'} orderType
+ * @param {{ orderRequest: object, requestStatus: string, fields?: object, actorId?: number }} change
+ *   orderRequest 는 orderRequestPolicy 의 req.orderRequest 형식, actorId 는 백그라운드 작업이면 null
+ */
+const changeRequestStatus = async (
+  io,
+  orderType,
+  { orderRequest, requestStatus, fields = {}, actorId = null },
+) => {
+  const Service = services[orderType];
+  const { request, order, shopperId, runnerId, parties } = orderRequest;
+  const { requestId } = request;
+  assertTransition(request.requestStatus, requestStatus, parties);
+  if (requestStatus === 'MATCHED') {
+    // 취소 / 삭제 / 만료된 order 의 request 는 매칭할 수 없음
+    assertOrderOpen(order);
+    if (orderType === 'shopper') await assertNotMatched(order.orderId, requestId);
+  }
+
+  // 매칭은 shopper 의 결제 승인(escrow 보관)이 성공해야 함
+  const orderEscrow = escrow.getEscrow(orderType, orderRequest);
+  if (requestStatus === 'MATCHED') await escrow.hold(orderEscrow);
+
+  // 상태 변경과 이력(history)은 한 transaction 으로 저장됨 - 상태가 바뀌지 않으면 이력도 남지 않음
+  const isUpdated = await Service.updateOrderRequest(
+    Object.assign({}, fields, {
+      requestId,
+      requestStatus,
+      prevRequestStatus: request.requestStatus,
+    }),
+    {
+      // 동시에 같은 shopper order 의 다른 request 를 매칭한 경우 하나만 업데이트 됨
+      exclusiveMatch: orderType === 'shopper' && requestStatus === 'MATCHED',
+      history: {
+        orderType,
+        requestId,
+        fromStatus: request.requestStatus,
+        toStatus: requestStatus,
+        actorId,
+        actorParties: parties,
+      },
+    },
+  );
+  if (!isUpdated) {
+    // 다른 요청으로 이미 매칭된 경우가 아니면 보관한 금액을 돌려줌
+    // 이미 매칭된 경우의 HOLD 는 먼저 매칭한 요청과 같은 거래임 (escrow.hold 참고)
+    if (requestStatus === 'MATCHED') {
+      const current = await Service.getOrderRequestById(requestId);
+      if (!current || current.requestStatus !== 'MATCHED') await escrow.refund(orderEscrow);
+    }
+    return false;
+  }
+
+  // 정산에 실패하면 저장해두고 백그라운드 작업이 다시 시도함 (정산은 여러 번 호출해도 한 번만 처리됨)
+  await escrow.settleOrRetry(orderEscrow, requestStatus, fields);
+
+  // 배달 완료 / 취소되면 runner 위치 공유를 끝냄
+  const isTracking = status => TRACKABLE_STATUS.indexOf(status) > -1;
+  if (isTracking(request.requestStatus) && !isTracking(requestStatus)) {
+    endTracking(io, orderType, requestId, requestStatus);
+  }
+
+  // 채팅 메세지를 남기지 못해도 상태 변경은 유지됨
+  await postStatusMessage(io, {
+    shopperId,
+    runnerId,
+    orderType,
+    orderId: order.orderId,
+    requestId,
+    fromStatus: request.requestStatus,
+    toStatus: requestStatus,
+  }).catch(error => console.error(error));
+
+  return true;
+};
+
+module.exports = {
+  changeRequestStatus,
+};
@@ -0,0 +1,92 @@
+const { getZonedParts, fromZonedParts } = require('./timeZone');
+const createError = require('./createError');
+
+// order 의 시간대(shopper: 물품을 받을 수 있는 시간, runner: 연락 가능한 시간)로 만료 시각 / 겹치는 시간을 계산
+// 시간대는 'HH:mm(:ss)' 형식으로 날짜 없이 저장되므로 order 를 올린 시각 이후 처음 돌아오는 끝 시각에 만료됨
+
+// 시간대가 없는 order 는 올린 뒤 이 시간이 지나면 만료됨
+const DEFAULT_ORDER_LIFETIME = 1000 * 60 * 60 * 24;
+
+// date 의 서비스 시간대 날짜에서 dayOffset 일 뒤의 time 시각
+const toTime = (date, time, dayOffset = 0) => {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  const { year, month, day } = getZonedParts(date);
+  return fromZonedParts({ year, month, day: day + dayOffset, hours, minutes, seconds });
+};
+
+/**
+ * order 의 만료 시각 - createdAt 이후 처음 돌아오는 endTime (22:00 ~ 02:00 처럼 자정을 넘는 시간대도 같음)
+ * endTime 은 서비스 시간대(SERVICE_TIME_ZONE) 기준
+ * @param {string} endTime 'HH:mm(:ss)'
+ * @param {Date} createdAt
+ */
+const getExpiresAt = (endTime, createdAt = new Date()) => {
+  if (!endTime) return new Date(createdAt.getTime() + DEFAULT_ORDER_LIFETIME);
+
+  const expiresAt = toTime(createdAt, endTime);
+  return expiresAt > createdAt ? expiresAt : toTime(createdAt, endTime, 1);
+};
+
+/**
+ * 새 request / 매칭을 받을 수 있는 order 인지 확인 - 취소 / 삭제 / 만료된 order 이면 ORDER.ORDER_CLOSED 에러
+ * 만료 작업(expireOrders)이 실행되기 전이라도 expiresAt 이 지났으면 만료된 것으로 봄
+ * @param {object} order
+ * @param {Date} now
+ */
+const assertOrderOpen = (order, now = new Date()) => {
+  const isExpired = order.expiredAt || (order.expiresAt && new Date(order.expiresAt) <= now);
+  if (order.canceledAt || order.deletedAt || isExpired)
+    throw createError('ORDER.ORDER_CLOSED', 409);
+};
+
+const DAY_MINUTES = 60 * 24;
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// [start, end) 분 단위 구간, 자정을 넘으면 end 가 DAY_MINUTES 보다 큼 - 시간대가 없으면 하루 전체
+const toInterval = ([startTime, endTime]) => {
+  if (!startTime || !endTime) return [0, DAY_MINUTES];
+
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  return [start, end > start ? end : end + DAY_MINUTES];
+};
+
+/**
+ * 두 시간대가 겹치는 시간 (분) - 자정을 넘는 시간대도 계산함
+ * @param {[string, string]} a ['HH:mm(:ss)', 'HH:mm(:ss)'] 시작, 끝
+ * @param {[string, string]} b
+ */
+const getOverlapMinutes = (a, b) => {
+  const [aStart, aEnd] = toInterval(a);
+  const [bStart, bEnd] = toInterval(b);
+
+  // 하루 전 / 다음 날로 옮긴 구간과도 비교
+  return Math.max(
+    ...[-DAY_MINUTES, 0, DAY_MINUTES].map(shift =>
+      Math.max(Math.min(aEnd, bEnd + shift) - Math.max(aStart, bStart + shift), 0),
+    ),
+  );
+};
+
+/**
+ * 시간대의 길이 (분)
+ * @param {[string, string]} window
+ */
+const getWindowMinutes = window => {
+  const [start, end] = toInterval(window);
+  return end - start;
+};
+
+module.exports = {
+  DAY_MINUTES,
+  toMinutes,
+  toInterval,
+  getExpiresAt,
+  assertOrderOpen,
+  getOverlapMinutes,
+  getWindowMinutes,
+};
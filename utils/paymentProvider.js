@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// PAYMENT_PROVIDER 로 결제 대행사를 선택함 - 개발 / 테스트 환경(NODE_ENV development, test)에서만 기본값 fake
+// 그 외 환경에서 없거나 등록되지 않은 대행사이면 서버 시작 시 에러
+// 대행사는 authorize(승인 - 금액을 잡아둠) / capture(승인된 금액 중 amount 만큼 결제하고 나머지는 승인 취소)
+// cancel(승인 취소 혹은 환불) 을 구현해야 함
+// fake: 실제 결제 없이 메모리에 저장 - 개발 / 테스트용
+const payments = new Map();
+
+const providers = {
+  fake: {
+    authorize: async ({ amount, method }) => {
+      const paymentId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+      payments.set(paymentId, { amount, method, status: 'AUTHORIZED' });
+      return { paymentId };
+    },
+    capture: async (paymentId, amount) => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== 'AUTHORIZED' || amount > payment.amount) {
+        throw new Error('PAYMENT.CAPTURE_FAILED');
+      }
+      Object.assign(payment, { status: 'CAPTURED', capturedAmount: amount });
+    },
+    cancel: async paymentId => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status === 'CANCELED') throw new Error('PAYMENT.CANCEL_FAILED');
+      payment.status = 'CANCELED';
+    },
+  },
+};
+
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+const getProvider = () => {
+  const isDevelopment = DEVELOPMENT_ENVS.indexOf(process.env.NODE_ENV) > -1;
+  const name = process.env.PAYMENT_PROVIDER || (isDevelopment ? 'fake' : '');
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) {
+    throw new Error(`PAYMENT_PROVIDER must be one of [${Object.keys(providers)}], got '${name}'`);
+  }
+  return providers[name];
+};
+
+let provider = getProvider();
+
+/**
+ * 결제 대행사 변경 (테스트에서 승인 실패 등을 확인할 때 사용)
+ * @param {{ authorize: Function, capture: Function, cancel: Function }} newProvider
+ */
+exports.setProvider = newProvider => {
+  provider = newProvider;
+};
+
+/**
+ * 결제 승인 - 금액을 잡아두고 paymentId 를 돌려줌
+ * @param {{ userId: number, amount: number, method: string, reference: string }} payment
+ */
+exports.authorize = payment => provider.authorize(payment);
+
+/**
+ * 승인된 금액 중 amount 만큼 결제, 나머지는 승인 취소됨
+ * @param {string} paymentId
+ * @param {number} amount
+ */
+exports.capture = (paymentId, amount) => provider.capture(paymentId, amount);
+
+/**
+ * 승인 취소 / 환불
+ * @param {string} paymentId
+ */
+exports.cancel = paymentId => provider.cancel(paymentId);
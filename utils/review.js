@@ -0,0 +1,49 @@
+const { body } = require('express-validator');
+const createError = require('./createError');
+
+const REVIEW_TAGS = [
+  'KIND',
+  'FAST',
+  'ON_TIME',
+  'ACCURATE',
+  'GOOD_COMMUNICATION',
+  'LATE',
+  'WRONG_ITEM',
+  'RUDE',
+];
+const MAX_REVIEW_TAGS = 5;
+// DELIVERED 이후에 리뷰를 남길 수 있음 - 먼저 남긴 사람의 리뷰로 REVIEWED 가 되어도 다른 한 쪽은 리뷰를 남길 수 있음
+const REVIEWABLE_STATUS = ['DELIVERED', 'REVIEW_REQUEST', 'REVIEWED'];
+
+// 리뷰 작성 body 검증 - 라우트의 validator 목록에 펼쳐서 사용
+const reviewBody = [
+  body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('content').isString().trim().isLength({ max: 1000 }).optional(),
+  body('tags')
+    .custom(
+      tags =>
+        Array.isArray(tags) &&
+        tags.length <= MAX_REVIEW_TAGS &&
+        tags.every(tag => REVIEW_TAGS.indexOf(tag) > -1),
+    )
+    .optional()
+    .withMessage(`tags is Array of [${REVIEW_TAGS.join(',')}] (max ${MAX_REVIEW_TAGS})`),
+];
+
+/**
+ * 리뷰를 받을 유저 - 거래 상대방, 거래 당사자가 아니면 (admin 등) REVIEW.NOT_ORDER_PARTY 에러
+ * @param {number} userId 리뷰를 남기는 유저
+ * @param {{ shopperId: number, runnerId: number }} members
+ */
+const getRevieweeId = (userId, { shopperId, runnerId }) => {
+  if (userId === shopperId) return runnerId;
+  if (userId === runnerId) return shopperId;
+  throw createError('REVIEW.NOT_ORDER_PARTY', 403);
+};
+
+module.exports = {
+  REVIEW_TAGS,
+  REVIEWABLE_STATUS,
+  reviewBody,
+  getRevieweeId,
+};
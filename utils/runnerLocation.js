@@ -0,0 +1,148 @@
+const LocationService = require('../services/location.service');
+const { PARTY } = require('./orderRequestStatus');
+const { getDistance } = require('./geo');
+const createError = require('./createError');
+
+// 위치를 공유하는 request 상태 - 매칭 후 배달 완료 전까지
+const TRACKABLE_STATUS = ['MATCHED', 'DELIVERED_REQUEST'];
+// ETA 계산에 사용하는 runner 의 이동 속도 (km/h)
+const RUNNER_SPEED = parseFloat(process.env.RUNNER_SPEED_KMH) || 15;
+// 이동 경로(breadcrumb)를 보관하는 기간 - 지나면 백그라운드 작업(jobs purgeLocations)으로 삭제됨
+const LOCATION_RETENTION = 1000 * 60 * 60 * 24 * 7;
+const TRACKING_ROOM_PREFIX = 'location:';
+
+// orderType 별 배달 목적지 - shopper order 는 order 의 좌표, runner order 는 shopper 가 보낸 request 의 좌표
+const destinationSources = {
+  shopper: ({ order }) => order,
+  runner: ({ request }) => request,
+};
+
+/**
+ * request 의 위치를 구독하는 socket room
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} requestId
+ */
+const getTrackingRoom = (orderType, requestId) =>
+  `${TRACKING_ROOM_PREFIX}${orderType}:${requestId}`;
+
+const isTrackingRoom = room => room.startsWith(TRACKING_ROOM_PREFIX);
+
+const isTrackable = ({ request }) => TRACKABLE_STATUS.indexOf(request.requestStatus) > -1;
+
+const toPosition = ({ lat, lng }) => ({ lat: parseFloat(lat), lng: parseFloat(lng) });
+
+/**
+ * 위치 좌표 확인 - 범위를 벗어나면 ORDER.INVALID_LOCATION 에러
+ * @param {{ lat: number, lng: number }} position
+ */
+const assertPosition = ({ lat, lng }) => {
+  const isValid =
+    typeof lat === 'number' &&
+    typeof lng === 'number' &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lng) <= 180;
+  if (!isValid) throw createError('ORDER.INVALID_LOCATION', 400);
+};
+
+/**
+ * 목적지까지의 직선 거리(m)와 RUNNER_SPEED 로 계산한 도착 예정 시각 - 목적지 좌표가 없으면 null
+ * @param {'shopper' | 'runner'} orderType
+ * @param {object} orderRequest orderRequestPolicy 의 req.orderRequest
+ * @param {{ lat: number, lng: number, recordedAt: Date }} location
+ */
+const getEta = (orderType, orderRequest, location) => {
+  const destination = toPosition(destinationSources[orderType](orderRequest));
+  const distance = getDistance(toPosition(location), destination);
+  if (isNaN(distance)) return null;
+
+  const etaSeconds = Math.round(distance / ((RUNNER_SPEED * 1000) / 3600));
+  const arrivesAt = new Date(new Date(location.recordedAt).getTime() + etaSeconds * 1000);
+  return { distance, etaSeconds, arrivesAt };
+};
+
+/**
+ * 위치를 공유 / 구독할 수 있는 상태(TRACKABLE_STATUS)인지 확인 - 아니면 ORDER.LOCATION_NOT_TRACKABLE 에러
+ * 거래 당사자 / admin 확인은 orderRequestPolicy 에서 함
+ * @param {object} orderRequest orderRequestPolicy 의 req.orderRequest
+ */
+const assertTrackable = orderRequest => {
+  if (!isTrackable(orderRequest)) throw createError('ORDER.LOCATION_NOT_TRACKABLE', 409);
+};
+
+/**
+ * runner 의 현재 위치를 저장하고 구독 중인 socket 에 'runnerLocation' 으로 전달
+ * 해당 request 의 runner 만 보낼 수 있고 공유 중인 상태여야 함
+ * @param {object} io
+ * @param {'shopper' | 'runner'} orderType
+ * @param {object} orderRequest orderRequestPolicy 의 req.orderRequest
+ * @param {{ lat: number, lng: number, accuracy?: number, heading?: number }} position
+ */
+const recordLocation = async (io, orderType, orderRequest, position) => {
+  if (orderRequest.parties.indexOf(PARTY.RUNNER) < 0 || orderRequest.isAdmin) {
+    throw createError('ORDER.NOT_REQUEST_RUNNER', 403);
+  }
+  assertTrackable(orderRequest);
+  assertPosition(position);
+
+  const { requestId } = orderRequest.request;
+  const location = await LocationService.createLocation({
+    orderType,
+    requestId,
+    runnerId: orderRequest.runnerId,
+    lat: position.lat,
+    lng: position.lng,
+    accuracy: position.accuracy || null,
+    heading: position.heading || null,
+    recordedAt: new Date(),
+  });
+
+  const update = {
+    orderType,
+    requestId,
+    location,
+    eta: getEta(orderType, orderRequest, location),
+  };
+  io.to(getTrackingRoom(orderType, requestId)).emit('runnerLocation', update);
+  return update;
+};
+
+/**
+ * 마지막 위치와 ETA - 아직 위치를 보내지 않았으면 location, eta 는 null
+ * @param {'shopper' | 'runner'} orderType
+ * @param {object} orderRequest orderRequestPolicy 의 req.orderRequest
+ */
+const getLatestLocation = async (orderType, orderRequest) => {
+  const { requestId } = orderRequest.request;
+  const location = await LocationService.getLatestLocation(orderType, requestId);
+
+  return {
+    orderType,
+    requestId,
+    location,
+    eta: location && getEta(orderType, orderRequest, location),
+  };
+};
+
+/**
+ * 공유가 끝난 request 의 구독을 정리하고 'locationTrackingEnded' 로 알림 - 상태가 공유 중이 아닌 상태로 바뀔 때 호출
+ * @param {object} io
+ * @param {'shopper' | 'runner'} orderType
+ * @param {number} requestId
+ * @param {string} requestStatus 바뀐 상태
+ */
+const endTracking = (io, orderType, requestId, requestStatus) => {
+  const room = getTrackingRoom(orderType, requestId);
+  io.to(room).emit('locationTrackingEnded', { orderType, requestId, requestStatus });
+  io.in(room).socketsLeave(room);
+};
+
+module.exports = {
+  TRACKABLE_STATUS,
+  LOCATION_RETENTION,
+  getTrackingRoom,
+  isTrackingRoom,
+  assertTrackable,
+  recordLocation,
+  getLatestLocation,
+  endTracking,
+};
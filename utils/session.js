@@ -0,0 +1,49 @@
+const SessionService = require('../services/session.service');
+const createError = require('./createError');
+const { getUserSocketRoom } = require('./chattingRoom');
+
+/**
+ * 세션의 모든 socket 이 들어가는 socket.io room - 세션이 만료되면 이 room 의 socket 을 끊음
+ * @param {number} sessionId
+ */
+const getSessionSocketRoom = sessionId => `session:${sessionId}`;
+
+/**
+ * 로그아웃 되지 않은 세션인지 확인 - 없거나 만료된 세션이면 AUTH.INVALID_TOKEN
+ * @param {number} sessionId access token 의 sessionId
+ */
+const assertActiveSession = async sessionId => {
+  const session = await SessionService.getSessionById(sessionId);
+  if (!session || session.revokedAt) throw createError('AUTH.INVALID_TOKEN', 401);
+  return session;
+};
+
+/**
+ * 만료된 세션으로 연결된 socket 끊기
+ * @param {object} io socket.io 서버
+ * @param {number} sessionId
+ */
+const disconnectSession = (io, sessionId) => {
+  io.in(getSessionSocketRoom(sessionId)).disconnectSockets(true);
+};
+
+/**
+ * 유저의 모든 socket 끊기 - exceptSessionId 세션의 socket 은 남겨둠
+ * @param {object} io socket.io 서버
+ * @param {number} userId
+ * @param {{ exceptSessionId?: number }} options
+ */
+const disconnectUser = (io, userId, { exceptSessionId } = {}) => {
+  const sockets = io.in(getUserSocketRoom(userId));
+  (exceptSessionId
+    ? sockets.except(getSessionSocketRoom(exceptSessionId))
+    : sockets
+  ).disconnectSockets(true);
+};
+
+module.exports = {
+  getSessionSocketRoom,
+  assertActiveSession,
+  disconnectSession,
+  disconnectUser,
+};
@@ -0,0 +1,73 @@
+// 날짜 없이 저장되는 시간('HH:mm')과 요일 / 날짜는 서버의 시간대가 아니라 서비스 시간대(SERVICE_TIME_ZONE) 기준으로 계산함
+
+const TIME_ZONE = process.env.SERVICE_TIME_ZONE || 'Asia/Seoul';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 잘못된 시간대 이름이면 서버 시작 시 RangeError
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * 서비스 시간대 기준 날짜 / 시각 - { year, month(1 ~ 12), day, hours, minutes, seconds, dayOfWeek(0: 일요일) }
+ * @param {Date} date
+ */
+const getZonedParts = date => {
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// date 시점의 서비스 시간대와 UTC 의 차이 (ms)
+const getOffset = date => {
+  const { year, month, day, hours, minutes, seconds } = getZonedParts(date);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds) - Math.floor(date / 1000) * 1000;
+};
+
+/**
+ * 서비스 시간대의 날짜 / 시각을 Date 로 변환 - day, hours 등이 범위를 넘으면 다음 날 / 달로 넘어감
+ * @param {{ year: number, month: number, day: number, hours?: number, minutes?: number, seconds?: number }} parts
+ */
+const fromZonedParts = ({ year, month, day, hours = 0, minutes = 0, seconds = 0 }) => {
+  const local = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // 서머타임이 있는 시간대는 변환한 시각의 offset 으로 한 번 더 맞춤
+  const guess = local - getOffset(new Date(local));
+  return new Date(local - getOffset(new Date(guess)));
+};
+
+/**
+ * 서비스 시간대 기준 'YYYY-MM-DD'
+ * @param {Date} date
+ */
+const toDateKey = date => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+module.exports = {
+  TIME_ZONE,
+  getZonedParts,
+  fromZonedParts,
+  toDateKey,
+};
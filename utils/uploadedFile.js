@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const UploadService = require('../services/upload.service');
+
+// /upload/{type} 으로 업로드한 파일의 path
+const UPLOAD_PATH_PATTERN = /^\/uploads\/[^/\\]+$/;
+
+/**
+ * owner 가 /upload/{type} 으로 업로드하여 uploads/ 에 있는 파일인지 확인
+ * 다른 유저가 올린 파일이나 다른 type 으로 올린 파일은 사용할 수 없음
+ * @param {{ path: string }} file
+ * @param {{ userId: number, type: string }} owner 업로드한 유저와 업로드 type
+ */
+const isUploadedFile = async (file, { userId, type }) => {
+  if (!file || typeof file.path !== 'string' || !UPLOAD_PATH_PATTERN.test(file.path)) return false;
+
+  // upload 기록은 /upload/{type} 에서 저장됨
+  const upload = await UploadService.getUploadByPath(file.path);
+  if (!upload || +upload.userId !== +userId || upload.type !== type) return false;
+
+  return fs.promises
+    .access(path.join('uploads', path.basename(file.path)))
+    .then(() => true)
+    .catch(() => false);
+};
+
+/**
+ * owner 가 업로드한 1 ~ max 개의 파일 목록인지 확인하여 [{ path }] 로 돌려줌, 아니면 null
+ * @param {Array<{ path: string }>} files
+ * @param {number} max
+ * @param {{ userId: number, type: string }} owner 업로드한 유저와 업로드 type
+ */
+const toUploadedFiles = async (files, max, owner) => {
+  if (!Array.isArray(files) || files.length === 0 || files.length > max) return null;
+
+  for (const file of files) {
+    if (!(await isUploadedFile(file, owner))) return null;
+  }
+
+  return files.map(file => ({ path: file.path }));
+};
+
+module.exports = {
+  isUploadedFile,
+  toUploadedFiles,
+};